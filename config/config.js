@@ -45,11 +45,84 @@ function getNumberEnv(key, defaultValue = 0) {
   return isNaN(parsed) ? defaultValue : parsed;
 }
 
+/**
+ * Parse comma-separated list environment variable
+ */
+function getListEnv(key, defaultValue = []) {
+  const value = process.env[key];
+  if (!value) return defaultValue;
+  return value.split(',').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Parse JSON environment variable
+ */
+function getJsonEnv(key, defaultValue = null) {
+  const value = process.env[key];
+  if (!value) return defaultValue;
+
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    throw new Error(`Invalid JSON in environment variable ${key}: ${error.message}`);
+  }
+}
+
+// Sections named after one of these languages default to it, e.g. "telugu" -> "Telugu"
+const SECTION_LANGUAGES = ['tamil', 'telugu', 'malayalam', 'kannada', 'hindi', 'english'];
+
+/**
+ * Load the forum sections to monitor
+ * SOURCES is a JSON array of {name, listingUrl, maxFilms, chatId, language};
+ * without it, LISTING_URL is monitored as a single "tamil" section
+ */
+function loadSources(defaultListingUrl, defaultMaxFilms) {
+  const sources = getJsonEnv('SOURCES', [{ name: 'tamil', listingUrl: defaultListingUrl }]);
+
+  if (!Array.isArray(sources) || sources.length === 0) {
+    throw new Error('SOURCES must be a non-empty JSON array');
+  }
+
+  return sources.map((source, index) => {
+    if (!source.name || !source.listingUrl) {
+      throw new Error(`SOURCES[${index}] needs a name and a listingUrl`);
+    }
+
+    const name = String(source.name).toLowerCase();
+    const defaultLanguage = SECTION_LANGUAGES.includes(name) ? name[0].toUpperCase() + name.slice(1) : null;
+
+    return {
+      name,
+      listingUrl: source.listingUrl,
+      maxFilms: parseInt(source.maxFilms, 10) || defaultMaxFilms,
+      // Optional destination chat that receives every film from this section
+      chatId: source.chatId ? String(source.chatId) : null,
+      // Language of films whose release name and post don't name one
+      language: source.language ? String(source.language) : defaultLanguage
+    };
+  });
+}
+
+const listingUrl = getEnv('LISTING_URL', 'https://www.1tamilmv.haus/index.php?/forums/forum/9-tamil-language/');
+const maxFilms = getNumberEnv('MAX_FILMS', 20);
+
 const config = {
   // Telegram Configuration
   telegram: {
-    botToken: getEnv('TELEGRAM_BOT_TOKEN', '', true),
-    chatId: getEnv('TELEGRAM_CHAT_ID', '', true)
+    // Required by the bot, which checks it when it starts; npm run replay only needs it with --send
+    botToken: getEnv('TELEGRAM_BOT_TOKEN', ''),
+    // Optional default chat, subscribed automatically on first start
+    chatId: getEnv('TELEGRAM_CHAT_ID', ''),
+    // Telegram user IDs allowed to run admin commands
+    adminIds: getListEnv('ADMIN_IDS'),
+    // Telegram user IDs allowed to run subscriber commands such as /latest
+    subscriberIds: getListEnv('SUBSCRIBER_IDS'),
+    // Show download options as inline buttons instead of magnet blocks in the caption
+    inlineButtons: getBoolEnv('INLINE_BUTTONS', false),
+    // Seconds a non-admin has to wait between two runs of a command
+    commandCooldowns: { latest: 300, ...getJsonEnv('COMMAND_COOLDOWNS', {}) },
+    // Optional JSON lines file recording every command run
+    auditLogPath: getEnv('AUDIT_LOG_PATH', '')
   },
 
   // Server configuration for webhooks
@@ -62,9 +135,31 @@ const config = {
   // Scraper Configuration
   scraper: {
     targetUrl: getEnv('TARGET_URL', 'https://www.1tamilmv.haus/'),
-    listingUrl: getEnv('LISTING_URL', 'https://www.1tamilmv.haus/index.php?/forums/forum/9-tamil-language/'),
-    maxFilms: getNumberEnv('MAX_FILMS', 20),
-    timeout: getNumberEnv('SCRAPE_TIMEOUT', 30000)
+    // Alternative domains probed in order when the current one stops working
+    mirrors: getListEnv('MIRROR_DOMAINS'),
+    listingUrl,
+    maxFilms,
+    maxPages: getNumberEnv('MAX_PAGES', 3),
+    // 'browser' uses Puppeteer for every page, 'http' fetches static HTML and
+    // only falls back to Puppeteer when that fails or hits a challenge page,
+    // 'replay' reads pages from snapshotDir instead of the live site
+    mode: getEnv('SCRAPER_MODE', 'browser'),
+    snapshotDir: getEnv('SNAPSHOT_DIR', './debug'),
+    sources: loadSources(listingUrl, maxFilms),
+    timeout: getNumberEnv('SCRAPE_TIMEOUT', 30000),
+    // Topic pages scraped at the same time (one browser tab each when Puppeteer is used)
+    concurrency: getNumberEnv('SCRAPE_CONCURRENCY', 2),
+    // Minimum gap between two requests to the same host, in milliseconds
+    hostDelay: getNumberEnv('SCRAPE_HOST_DELAY', 1000),
+    // No new topics are started after this many milliseconds of a run (0 = no limit);
+    // the rest is scraped on the next check
+    runBudget: getNumberEnv('SCRAPE_RUN_BUDGET', 300000)
+  },
+
+  // Headless Chrome recycling, to keep its memory from growing (0 disables a limit)
+  browser: {
+    recyclePages: getNumberEnv('BROWSER_RECYCLE_PAGES', 100),
+    recycleMinutes: getNumberEnv('BROWSER_RECYCLE_MINUTES', 60)
   },
 
   // Scheduler Configuration
@@ -73,9 +168,34 @@ const config = {
     cronSchedule: getEnv('CRON_SCHEDULE', '0 */2 * * *') // Every 2 hours
   },
 
+  // Backfill Configuration (/backfill command)
+  backfill: {
+    maxPages: getNumberEnv('BACKFILL_MAX_PAGES', 20),
+    batchSize: getNumberEnv('BACKFILL_BATCH_SIZE', 5),
+    batchDelay: getNumberEnv('BACKFILL_BATCH_DELAY', 60000)
+  },
+
+  // Topic update detection (re-scrapes recently seen topics for new qualities)
+  updates: {
+    enabled: getBoolEnv('ENABLE_UPDATE_CHECK', true),
+    recheckCount: getNumberEnv('RECHECK_RECENT_FILMS', 5),
+    maxAgeHours: getNumberEnv('RECHECK_MAX_AGE_HOURS', 72),
+    mode: getEnv('UPDATE_MODE', 'reply') // 'reply' posts a new message, 'edit' edits the original
+  },
+
+  // Outbox of pending film posts, kept in storage until Telegram accepts them
+  outbox: {
+    sendDelay: getNumberEnv('SEND_DELAY', 1500), // Pause between two posts
+    maxAttempts: getNumberEnv('OUTBOX_MAX_ATTEMPTS', 8),
+    retryDelay: getNumberEnv('OUTBOX_RETRY_DELAY', 60000), // Doubled after every failed attempt
+    maxRetryDelay: getNumberEnv('OUTBOX_MAX_RETRY_DELAY', 3600000)
+  },
+
   // Storage Configuration
   storage: {
+    backend: getEnv('STORAGE_BACKEND', 'json'), // 'json' or 'sqlite'
     dataPath: getEnv('DATA_PATH', './data/seen_films.json'),
+    sqlitePath: getEnv('SQLITE_PATH', './data/bot.db'),
     maxTrackedFilms: getNumberEnv('MAX_TRACKED_FILMS', 500)
   }
 };
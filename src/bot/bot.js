@@ -2,21 +2,63 @@
  * Grammy bot initialization and message sending
  */
 
-import { Bot, webhookCallback } from 'grammy';
+import { Bot, GrammyError, HttpError, webhookCallback } from 'grammy';
 import { startCommand } from './commands/start.js';
 import { helpCommand } from './commands/help.js';
 import { latestCommand } from './commands/latest.js';
-import { formatFilmCaption } from '../formatters/messageFormatter.js';
+import { subscribeCommand } from './commands/subscribe.js';
+import { unsubscribeCommand } from './commands/unsubscribe.js';
+import { filtersCommand } from './commands/filters.js';
+import { watchCommand } from './commands/watch.js';
+import { unwatchCommand } from './commands/unwatch.js';
+import { watchlistCommand } from './commands/watchlist.js';
+import { backfillCommand } from './commands/backfill.js';
+import { searchCommand, searchPageCallback, SEARCH_CALLBACK_PATTERN } from './commands/search.js';
+import { filmCommand } from './commands/film.js';
+import { statusCommand } from './commands/status.js';
+import { pauseCommand } from './commands/pause.js';
+import { resumeCommand } from './commands/resume.js';
+import { setScheduleCommand } from './commands/setschedule.js';
+import { forgetCommand } from './commands/forget.js';
+import { configCommand } from './commands/config.js';
+import { downloadCallback } from './callbacks/download.js';
+import { inlineSearchHandler } from './inline/search.js';
+import { createAccessMiddleware } from './middleware/access.js';
+import { buildFilmKeyboard, DOWNLOAD_CALLBACK_PATTERN } from './filmKeyboard.js';
+import { applyFilters } from '../filters/subscriberFilters.js';
+import { findWatchlistMatches } from '../filters/watchlistMatcher.js';
+import {
+  formatFilmCaption,
+  formatFilmMessages,
+  formatWatchlistHit,
+  formatFilmUpdate
+} from '../formatters/messageFormatter.js';
 import { createLogger } from '../utils/logger.js';
 
 const logger = createLogger('Bot');
 
+/**
+ * Check if a failed send may succeed later: rate limits, network errors and Telegram server errors
+ */
+function isRetryableError(error) {
+  if (error instanceof GrammyError) {
+    return error.error_code === 429 || error.error_code >= 500;
+  }
+  return error instanceof HttpError;
+}
+
 class TelegramBot {
-  constructor(config) {
+  constructor(config, database) {
     this.config = config;
+    this.database = database;
     this.bot = null;
     this.isRunning = false;
     this.checkAndSendUpdates = null; // Will be set from index.js
+    this.checkCoordinator = null; // Will be set from index.js
+    this.runBackfill = null; // Will be set from index.js
+    this.getStatus = null; // Will be set from index.js
+    this.scheduler = null; // Will be set from index.js
+    this.outbox = null; // Will be set from index.js
   }
 
   /**
@@ -24,12 +66,41 @@ class TelegramBot {
    */
   initialize() {
     try {
+      if (!this.config.telegram.botToken) {
+        throw new Error('Missing required environment variable: TELEGRAM_BOT_TOKEN');
+      }
+
       this.bot = new Bot(this.config.telegram.botToken);
 
+      // Role checks, cooldowns and audit logging for every command
+      this.bot.use(createAccessMiddleware(this.config));
+
       // Register commands
-      this.bot.command('start', startCommand);
+      this.bot.command('start', (ctx) => startCommand(ctx, this.database));
       this.bot.command('help', helpCommand);
-      this.bot.command('latest', (ctx) => latestCommand(ctx, this.checkAndSendUpdates));
+      this.bot.command('latest', (ctx) => latestCommand(ctx, this.checkAndSendUpdates, this.checkCoordinator));
+      this.bot.command('subscribe', (ctx) => subscribeCommand(ctx, this.database));
+      this.bot.command('unsubscribe', (ctx) => unsubscribeCommand(ctx, this.database));
+      this.bot.command('filters', (ctx) => filtersCommand(ctx, this.database, this.config.scraper.sources));
+      this.bot.command('watch', (ctx) => watchCommand(ctx, this.database));
+      this.bot.command('unwatch', (ctx) => unwatchCommand(ctx, this.database));
+      this.bot.command('watchlist', (ctx) => watchlistCommand(ctx, this.database));
+      this.bot.command('search', (ctx) => searchCommand(ctx, this.database));
+      this.bot.command('film', (ctx) => filmCommand(ctx, this.database, this.config));
+      this.bot.command('backfill', (ctx) => backfillCommand(ctx, this.runBackfill, this.config));
+      this.bot.command('status', (ctx) => statusCommand(ctx, this.getStatus));
+      this.bot.command('pause', (ctx) => pauseCommand(ctx, this.scheduler));
+      this.bot.command('resume', (ctx) => resumeCommand(ctx, this.scheduler));
+      this.bot.command('setschedule', (ctx) => setScheduleCommand(ctx, this.scheduler));
+      this.bot.command('forget', (ctx) => forgetCommand(ctx, this.database));
+      this.bot.command('config', (ctx) => configCommand(ctx, this.config, this.getStatus));
+
+      // Register inline button handlers
+      this.bot.callbackQuery(DOWNLOAD_CALLBACK_PATTERN, (ctx) => downloadCallback(ctx, this.database));
+      this.bot.callbackQuery(SEARCH_CALLBACK_PATTERN, (ctx) => searchPageCallback(ctx, this.database));
+
+      // Search stored films from any chat with "@bot <title>"
+      this.bot.on('inline_query', (ctx) => inlineSearchHandler(ctx, this.database, this.config));
 
       // Error handler
       this.bot.catch((err) => {
@@ -120,67 +191,430 @@ class TelegramBot {
   }
 
   /**
-   * Send a film as a photo message with caption
+   * Check if film messages get inline download buttons instead of links in the caption
+   */
+  usesInlineButtons() {
+    return this.config.telegram.inlineButtons;
+  }
+
+  /**
+   * Send a film as a photo message with caption to a single chat
+   * If the download links don't fit in the caption, they follow as text messages
+   * threaded as replies to the poster message.
+   * Throws on failure so callers can inspect the Telegram error
+   * @param {Object} film - Film to send, possibly narrowed down by the chat's filters
+   * @param {Object} options - {replyToMessageId, storedFilm}: the message to reply to
+   *   (e.g. the earlier post of an upgraded film) and the unfiltered film the buttons point to
+   * @returns {Object} The first (poster) message
+   */
+  async sendFilm(film, chatId, { replyToMessageId = null, storedFilm = film } = {}) {
+    const compact = this.usesInlineButtons();
+    const { caption, followUps } = formatFilmMessages(film, Boolean(film.posterUrl), compact);
+    const replyOptions = replyToMessageId
+      ? { reply_parameters: { message_id: replyToMessageId, allow_sending_without_reply: true } }
+      : {};
+
+    if (compact) {
+      replyOptions.reply_markup = buildFilmKeyboard(storedFilm, film.downloads);
+    }
+
+    let message;
+
+    // Send photo with caption if poster is available
+    if (film.posterUrl) {
+      message = await this.bot.api.sendPhoto(chatId, film.posterUrl, {
+        caption,
+        parse_mode: 'HTML',
+        ...replyOptions
+      });
+    } else {
+      // Send as text message if no poster
+      message = await this.bot.api.sendMessage(chatId, caption, {
+        parse_mode: 'HTML',
+        disable_web_page_preview: false,
+        ...replyOptions
+      });
+    }
+
+    await this.sendFollowUps(film, chatId, message.message_id, followUps);
+    return message;
+  }
+
+  /**
+   * Send the download links that didn't fit a film post or update, as replies to it
+   * The post is already delivered, so a failed follow-up doesn't fail it. Links that hit
+   * a rate limit, network or server error are queued in the outbox (or, without one,
+   * the error is thrown); links Telegram rejects are dropped.
+   */
+  async sendFollowUps(film, chatId, replyToMessageId, texts) {
+    for (const [index, text] of texts.entries()) {
+      try {
+        await this.delay(500);
+        await this.sendLinkMessage(chatId, text, replyToMessageId);
+      } catch (error) {
+        if (!isRetryableError(error)) {
+          logger.error(`Failed to send download links of ${film.title} to ${chatId}:`, error.message);
+          continue;
+        }
+
+        if (!this.outbox) {
+          throw error;
+        }
+
+        logger.warn(`Queueing the download links of ${film.title} for ${chatId}:`, error.message);
+        await this.outbox.enqueueLinks(film, chatId, replyToMessageId, texts.slice(index));
+        return;
+      }
+    }
+  }
+
+  /**
+   * Send one message of download links in reply to a film post
+   */
+  sendLinkMessage(chatId, text, replyToMessageId) {
+    return this.bot.api.sendMessage(chatId, text, {
+      parse_mode: 'HTML',
+      disable_web_page_preview: true,
+      reply_parameters: {
+        message_id: replyToMessageId,
+        allow_sending_without_reply: true
+      }
+    });
+  }
+
+  /**
+   * Find the message a quality upgrade should reply to in a chat:
+   * the earlier topic's post, if that chat received it
+   * @returns {number|null} Message ID
+   */
+  getUpgradeReplyTarget(film, chatId) {
+    if (!film.upgrade) {
+      return null;
+    }
+
+    const previousFilm = this.database.getFilm(film.upgrade.filmId);
+    const message = (previousFilm?.messages || []).find(m => m.chatId === chatId);
+    return message ? message.messageId : null;
+  }
+
+  /**
+   * Get the chats a film should be delivered to:
+   * every active subscriber (with its filters) plus the destination chat
+   * configured for the film's forum section
+   * @returns {Array} Array of {chatId, filters, isSubscriber} objects
+   */
+  getRecipients(film) {
+    const recipients = new Map();
+
+    for (const subscriber of this.database.getActiveSubscribers()) {
+      recipients.set(subscriber.chatId, {
+        chatId: subscriber.chatId,
+        filters: subscriber.filters,
+        isSubscriber: true
+      });
+    }
+
+    const source = this.config.scraper.sources.find(s => s.name === film.section);
+    if (source?.chatId && !recipients.has(source.chatId)) {
+      recipients.set(source.chatId, {
+        chatId: source.chatId,
+        filters: null,
+        isSubscriber: false
+      });
+    }
+
+    return [...recipients.values()];
+  }
+
+  /**
+   * Queue films in the outbox for every recipient whose filters let them through
+   * Films already stored are left out. A film every recipient filtered out counts as
+   * skipped; one without any recipient is neither queued nor skipped, so it is tried
+   * again next check.
+   * @returns {Object} {queuedFilms, skippedFilms}
+   */
+  async queueFilms(films) {
+    const queuedFilms = [];
+    const skippedFilms = [];
+
+    for (const film of films) {
+      // Another run may have posted it since this one scraped it
+      if (this.database.hasFilm(film.id)) {
+        logger.debug(`Film ${film.title} was already posted, not queueing it again`);
+        continue;
+      }
+
+      const recipients = this.getRecipients(film);
+
+      if (recipients.length === 0) {
+        logger.warn(`No recipients, skipping film: ${film.title}`);
+        continue;
+      }
+
+      const chatIds = recipients
+        .filter(recipient => applyFilters(film, recipient.filters))
+        .map(recipient => recipient.chatId);
+
+      if (chatIds.length === 0) {
+        logger.debug(`Film ${film.title} filtered out for every recipient`);
+        skippedFilms.push(film);
+        continue;
+      }
+
+      await this.outbox.enqueue(film, chatIds);
+      queuedFilms.push(film);
+    }
+
+    logger.info(`Queued ${queuedFilms.length} films, ${skippedFilms.length} filtered out`);
+    return { queuedFilms, skippedFilms };
+  }
+
+  /**
+   * Send an outbox entry of any kind
    */
-  async sendFilm(film) {
+  sendOutboxEntry(entry) {
+    if (entry.kind === 'update') {
+      return this.sendQueuedUpdate(entry);
+    }
+    return entry.kind === 'links' ? this.sendQueuedLinks(entry) : this.sendQueuedFilm(entry);
+  }
+
+  /**
+   * Check if a stored film was already posted to a chat
+   */
+  isPostedInChat(filmId, chatId) {
+    const film = this.database.getFilm(filmId);
+    return (film?.messages || []).some(message => message.chatId === chatId);
+  }
+
+  /**
+   * Send a film queued in the outbox
+   * The chat's current filters apply, in case they changed since the film was queued
+   * @param {Object} entry - Outbox entry {filmId, chatId, film}
+   * @returns {Object|null} The poster message, or null if the chat no longer wants the film
+   */
+  async sendQueuedFilm(entry) {
+    if (this.isPostedInChat(entry.filmId, entry.chatId)) {
+      logger.warn(`Film ${entry.film.title} was already posted to ${entry.chatId}, not sending it again`);
+      return null;
+    }
+
+    const recipient = this.getRecipients(entry.film).find(r => r.chatId === entry.chatId);
+    const filteredFilm = recipient ? applyFilters(entry.film, recipient.filters) : null;
+
+    if (!filteredFilm) {
+      return null;
+    }
+
+    const message = await this.sendFilm(filteredFilm, entry.chatId, {
+      replyToMessageId: this.getUpgradeReplyTarget(entry.film, entry.chatId),
+      storedFilm: entry.film
+    });
+    logger.info(`Sent film: ${entry.film.title} to ${entry.chatId}`);
+    return message;
+  }
+
+  /**
+   * Send follow-up links queued in the outbox (see sendFollowUps)
+   * A failure is retried by the outbox with every link of the entry, so links sent
+   * before it may be repeated
+   * @param {Object} entry - Outbox entry {film, chatId, replyToMessageId, texts}
+   * @returns {Object|null} The last link message, or null if the chat has unsubscribed
+   */
+  async sendQueuedLinks(entry) {
+    if (!this.getRecipients(entry.film).some(r => r.chatId === entry.chatId)) {
+      return null;
+    }
+
+    let message = null;
+    for (const text of entry.texts) {
+      message = await this.sendLinkMessage(entry.chatId, text, entry.replyToMessageId);
+      await this.delay(500);
+    }
+
+    logger.info(`Sent queued download links of ${entry.film.title} to ${entry.chatId}`);
+    return message;
+  }
+
+  /**
+   * Queue the announcement of download options added to an already posted film
+   * Every chat that received the film gets an update, sent by the outbox (see sendQueuedUpdate).
+   * Quality upgrades are also queued as film posts for chats that never received the
+   * film (e.g. because they skip CAM releases).
+   * @param {Object} film - Stored film record (including the new downloads and its messages)
+   * @param {Array} newDownloads - The newly added download options
+   * @param {string} upgradedTier - New quality tier, if the new options raise it
+   * @returns {number} Number of chats the update was queued for
+   */
+  async queueFilmUpdate(film, newDownloads, upgradedTier = null) {
+    const recipients = new Map(this.getRecipients(film).map(r => [r.chatId, r]));
+    const postedChats = new Set();
+    let queuedCount = 0;
+
+    for (const post of film.messages || []) {
+      postedChats.add(post.chatId);
+
+      // Skip chats that have unsubscribed since the original post,
+      // and chats whose filters allow none of the new options
+      const recipient = recipients.get(post.chatId);
+      if (!recipient || !applyFilters({ ...film, downloads: newDownloads }, recipient.filters)) continue;
+
+      await this.outbox.enqueueUpdate(film, post, newDownloads, upgradedTier);
+      queuedCount++;
+    }
+
+    if (upgradedTier) {
+      const newChatIds = [...recipients.values()]
+        .filter(recipient => !postedChats.has(recipient.chatId) && applyFilters(film, recipient.filters))
+        .map(recipient => recipient.chatId);
+
+      if (newChatIds.length > 0) {
+        await this.outbox.enqueue({ ...film, upgrade: { toTier: upgradedTier } }, newChatIds);
+        queuedCount += newChatIds.length;
+      }
+    }
+
+    return queuedCount;
+  }
+
+  /**
+   * Send an update queued in the outbox
+   * Depending on config.updates.mode, either replies to the original message with
+   * the new options or edits the original message in place. Quality upgrades are
+   * always announced with a reply.
+   * @param {Object} entry - Outbox entry {film, chatId, post, newDownloads, upgradedTier}
+   * @returns {Object|boolean|null} The reply message, true for an edit only,
+   *   or null if the chat no longer wants the update
+   */
+  async sendQueuedUpdate(entry) {
+    const { film, post, newDownloads, upgradedTier } = entry;
+    const recipient = this.getRecipients(film).find(r => r.chatId === entry.chatId);
+
+    // Only announce the new options this chat's filters allow
+    const filteredUpdate = recipient ? applyFilters({ ...film, downloads: newDownloads }, recipient.filters) : null;
+    if (!filteredUpdate) {
+      return null;
+    }
+
+    const editOriginal = this.config.updates.mode === 'edit';
+    const compact = this.usesInlineButtons();
+
+    if (editOriginal) {
+      const filteredFilm = applyFilters(film, recipient.filters);
+      const caption = formatFilmCaption(filteredFilm, compact);
+      const keyboard = compact ? buildFilmKeyboard(film, filteredFilm.downloads) : null;
+      // Messages stored before the kind was tracked are photos whenever the film has a poster
+      const isPhoto = post.kind ? post.kind === 'photo' : Boolean(film.posterUrl);
+      await this.editFilmMessage(post, caption, isPhoto, keyboard);
+    }
+
+    let message = true;
+
+    if (!editOriginal || upgradedTier) {
+      const updateOptions = {
+        parse_mode: 'HTML',
+        reply_parameters: {
+          message_id: post.messageId,
+          allow_sending_without_reply: true
+        }
+      };
+      if (compact) {
+        updateOptions.reply_markup = buildFilmKeyboard(film, filteredUpdate.downloads);
+      }
+
+      const { text, followUps } = formatFilmUpdate(film, filteredUpdate.downloads, upgradedTier, compact);
+      message = await this.bot.api.sendMessage(entry.chatId, text, updateOptions);
+      await this.sendFollowUps(film, entry.chatId, message.message_id, followUps);
+    }
+
+    logger.info(`Sent update for ${film.title} to ${entry.chatId}`);
+    return message;
+  }
+
+  /**
+   * Replace the caption (photo) or text of a previously sent film message
+   */
+  async editFilmMessage(message, text, isPhoto, keyboard = null) {
+    // Edits without a keyboard remove the existing one
+    const markup = keyboard ? { reply_markup: keyboard } : {};
+
     try {
-      const caption = formatFilmCaption(film);
-      const chatId = this.config.telegram.chatId;
-
-      // Send photo with caption if poster is available
-      if (film.posterUrl) {
-        await this.bot.api.sendPhoto(chatId, film.posterUrl, {
-          caption,
-          parse_mode: 'HTML'
+      if (isPhoto) {
+        await this.bot.api.editMessageCaption(message.chatId, message.messageId, {
+          caption: text,
+          parse_mode: 'HTML',
+          ...markup
         });
       } else {
-        // Send as text message if no poster
-        await this.bot.api.sendMessage(chatId, caption, {
+        await this.bot.api.editMessageText(message.chatId, message.messageId, text, {
           parse_mode: 'HTML',
-          disable_web_page_preview: false
+          ...markup
         });
       }
-
-      logger.info(`Sent film: ${film.title}`);
-      return true;
     } catch (error) {
-      logger.error(`Failed to send film ${film.title}:`, error.message);
-      return false;
+      // Telegram rejects edits that don't change anything
+      if (error instanceof GrammyError && error.description.includes('message is not modified')) {
+        return;
+      }
+      throw error;
     }
   }
 
   /**
-   * Send multiple films with delay between each
+   * Send a private "watchlist hit" message to every user watching a keyword in these films
+   * @returns {number} Number of alerts delivered
    */
-  async sendFilms(films) {
-    let sentCount = 0;
-    let failedCount = 0;
+  async sendWatchlistAlerts(films) {
+    const entries = this.database.getAllWatchlistEntries();
+    let alertCount = 0;
+
+    if (entries.length === 0) {
+      return alertCount;
+    }
 
     for (const film of films) {
-      const success = await this.sendFilm(film);
+      const matches = findWatchlistMatches(film, entries);
 
-      if (success) {
-        sentCount++;
-      } else {
-        failedCount++;
+      for (const [userId, keywords] of matches) {
+        try {
+          await this.bot.api.sendMessage(userId, formatWatchlistHit(film, keywords), {
+            parse_mode: 'HTML'
+          });
+          alertCount++;
+          logger.info(`Sent watchlist hit for ${film.title} to user ${userId}`);
+        } catch (error) {
+          logger.warn(`Failed to send watchlist hit to user ${userId}:`, error.message);
+        }
+
+        await this.delay(this.config.outbox.sendDelay);
       }
+    }
+
+    return alertCount;
+  }
+
+  /**
+   * Send a message to every configured admin
+   * Admins only receive it if they have started a private chat with the bot
+   * @returns {number} Number of admins notified
+   */
+  async notifyAdmins(text) {
+    let notifiedCount = 0;
 
-      // Wait between messages to avoid rate limiting
-      if (sentCount < films.length) {
-        await this.delay(1500);
+    for (const adminId of this.config.telegram.adminIds) {
+      if (await this.sendMessage(adminId, text)) {
+        notifiedCount++;
       }
     }
 
-    logger.info(`Sent ${sentCount} films, ${failedCount} failed`);
-    return { sentCount, failedCount };
+    return notifiedCount;
   }
 
   /**
    * Send a text message
    */
-  async sendMessage(text, parseMode = 'HTML') {
+  async sendMessage(chatId, text, parseMode = 'HTML') {
     try {
-      const chatId = this.config.telegram.chatId;
       await this.bot.api.sendMessage(chatId, text, {
         parse_mode: parseMode
       });
@@ -204,6 +638,41 @@ class TelegramBot {
   setUpdateChecker(checkFunction) {
     this.checkAndSendUpdates = checkFunction;
   }
+
+  /**
+   * Set the backfill function
+   */
+  setBackfillRunner(backfillFunction) {
+    this.runBackfill = backfillFunction;
+  }
+
+  /**
+   * Set the coordinator that tells /latest whether a check is already running
+   */
+  setCheckCoordinator(coordinator) {
+    this.checkCoordinator = coordinator;
+  }
+
+  /**
+   * Set the function collecting the runtime state for /status
+   */
+  setStatusProvider(statusFunction) {
+    this.getStatus = statusFunction;
+  }
+
+  /**
+   * Set the scheduler controlled by /pause, /resume and /setschedule
+   */
+  setScheduler(scheduler) {
+    this.scheduler = scheduler;
+  }
+
+  /**
+   * Set the outbox new films are queued in
+   */
+  setOutbox(outbox) {
+    this.outbox = outbox;
+  }
 }
 
 export default TelegramBot;
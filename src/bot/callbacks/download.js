@@ -0,0 +1,81 @@
+/**
+ * Download button handler
+ * Sends the magnet and direct link of the download option behind an inline button.
+ * In private chats the links are posted as a reply; in groups and channels they are
+ * sent to the user privately, so the chat isn't flooded.
+ */
+
+import { GrammyError } from 'grammy';
+import { formatDownloadMessage } from '../../formatters/messageFormatter.js';
+import { buildDownloadStartPayload } from '../filmKeyboard.js';
+import { createLogger } from '../../utils/logger.js';
+
+const logger = createLogger('DownloadCallback');
+
+/**
+ * Look up a download option of a stored film
+ * @returns {Object|null} {film, download}
+ */
+function findDownload(database, filmId, index) {
+  const film = database.getFilm(filmId);
+  const download = film?.downloads?.[index];
+  return download ? { film, download } : null;
+}
+
+/**
+ * Send a download option to a chat
+ * @returns {boolean} False if the film or option is no longer stored
+ */
+export async function sendDownloadOption(api, chatId, database, filmId, index, replyToMessageId = null) {
+  const found = findDownload(database, filmId, index);
+  if (!found) {
+    return false;
+  }
+
+  const options = { parse_mode: 'HTML', disable_web_page_preview: true };
+  if (replyToMessageId) {
+    options.reply_parameters = { message_id: replyToMessageId, allow_sending_without_reply: true };
+  }
+
+  await api.sendMessage(chatId, formatDownloadMessage(found.film, found.download), options);
+  return true;
+}
+
+export async function downloadCallback(ctx, database) {
+  const filmId = ctx.match[1];
+  const index = parseInt(ctx.match[2], 10);
+
+  try {
+    if (!findDownload(database, filmId, index)) {
+      await ctx.answerCallbackQuery({ text: '⚠️ This film is no longer tracked. Only the newest films are kept, so its buttons stopped working. Use "Open topic" instead.', show_alert: true });
+      return;
+    }
+
+    const message = ctx.callbackQuery.message;
+
+    if (message?.chat.type === 'private') {
+      await sendDownloadOption(ctx.api, message.chat.id, database, filmId, index, message.message_id);
+      await ctx.answerCallbackQuery();
+      return;
+    }
+
+    try {
+      await sendDownloadOption(ctx.api, ctx.from.id, database, filmId, index);
+      await ctx.answerCallbackQuery({ text: '📬 Sent to you in a private chat' });
+    } catch (error) {
+      // Bots can't start private chats; open one and finish through /start
+      if (error instanceof GrammyError && error.error_code === 403) {
+        await ctx.answerCallbackQuery({
+          url: `https://t.me/${ctx.me.username}?start=${buildDownloadStartPayload(filmId, index)}`
+        });
+        return;
+      }
+      throw error;
+    }
+
+    logger.info(`Sent download ${filmId}:${index} to user ${ctx.from.id}`);
+  } catch (error) {
+    logger.error('Error in download callback:', error.message);
+    await ctx.answerCallbackQuery({ text: '❌ Failed to send the download links.' }).catch(() => {});
+  }
+}
@@ -0,0 +1,59 @@
+/**
+ * /backfill command handler (admin only)
+ * Imports older topics from the listing pages, either marking them seen or posting them
+ */
+
+import { createLogger } from '../../utils/logger.js';
+
+const logger = createLogger('BackfillCommand');
+
+const USAGE = `
+ℹ️ <b>Usage:</b>
+<code>/backfill &lt;pages&gt;</code> - Mark topics on the first pages as seen without posting
+<code>/backfill &lt;pages&gt; post</code> - Post them in throttled batches
+`;
+
+export async function backfillCommand(ctx, runBackfill, config) {
+  try {
+    const [pagesArg, modeArg] = (ctx.match || '').trim().split(/\s+/);
+    const pages = parseInt(pagesArg, 10);
+    const post = modeArg?.toLowerCase() === 'post';
+
+    if (isNaN(pages) || pages < 1 || (modeArg && !post)) {
+      await ctx.reply(USAGE.trim(), { parse_mode: 'HTML' });
+      return;
+    }
+
+    if (pages > config.backfill.maxPages) {
+      await ctx.reply(`❌ At most ${config.backfill.maxPages} pages can be backfilled at once.`, { parse_mode: 'HTML' });
+      return;
+    }
+
+    logger.info(`Backfill of ${pages} pages (${post ? 'post' : 'mark seen'}) triggered by ${ctx.from.id}`);
+    await ctx.reply(
+      `⏳ Backfilling ${pages} page${pages === 1 ? '' : 's'} per section ` +
+      `(${post ? 'posting in batches' : 'marking as seen'}). I'll report back when done.`,
+      { parse_mode: 'HTML' }
+    );
+
+    // Run in the background: a large backfill outlives the webhook request
+    runBackfill(pages, post)
+      .then(async (result) => {
+        if (result.success) {
+          await ctx.reply(
+            `✅ Backfill complete: ${result.foundCount} unseen topics found, ` +
+            (post ? `${result.postedCount} posted.` : `${result.importedCount} marked as seen.`),
+            { parse_mode: 'HTML' }
+          );
+        } else {
+          await ctx.reply(`❌ Backfill failed: ${result.error || 'Unknown error'}`, { parse_mode: 'HTML' });
+        }
+      })
+      .catch((error) => {
+        logger.error('Error reporting backfill result:', error.message);
+      });
+  } catch (error) {
+    logger.error('Error in /backfill command:', error.message);
+    await ctx.reply('❌ An error occurred while starting the backfill.', { parse_mode: 'HTML' });
+  }
+}
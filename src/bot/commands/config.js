@@ -0,0 +1,93 @@
+/**
+ * /config command handler (admin only)
+ * Shows the effective settings, including runtime changes like /setschedule
+ * The bot token and webhook URL are never shown
+ */
+
+import { formatTextMessage } from '../../formatters/messageFormatter.js';
+import { createLogger } from '../../utils/logger.js';
+
+const logger = createLogger('ConfigCommand');
+
+/**
+ * Collect the settings to show, grouped by section
+ */
+function describeConfig(config, activeDomain) {
+  const { scraper, scheduler, updates, backfill, outbox, storage, telegram, server } = config;
+
+  return {
+    Browser: {
+      BROWSER_RECYCLE_PAGES: config.browser.recyclePages,
+      BROWSER_RECYCLE_MINUTES: config.browser.recycleMinutes
+    },
+    Scheduler: {
+      ENABLE_SCHEDULER: scheduler.enabled,
+      CRON_SCHEDULE: scheduler.cronSchedule
+    },
+    Scraper: {
+      TARGET_URL: scraper.targetUrl,
+      'Active domain': activeDomain,
+      MIRROR_DOMAINS: scraper.mirrors.join(', ') || 'none',
+      SCRAPER_MODE: scraper.mode,
+      MAX_FILMS: scraper.maxFilms,
+      MAX_PAGES: scraper.maxPages,
+      SCRAPE_TIMEOUT: scraper.timeout,
+      SCRAPE_CONCURRENCY: scraper.concurrency,
+      SCRAPE_HOST_DELAY: scraper.hostDelay,
+      SCRAPE_RUN_BUDGET: scraper.runBudget,
+      SNAPSHOT_DIR: scraper.snapshotDir,
+      Sections: scraper.sources.map(source => source.name).join(', ')
+    },
+    Updates: {
+      ENABLE_UPDATE_CHECK: updates.enabled,
+      RECHECK_RECENT_FILMS: updates.recheckCount,
+      RECHECK_MAX_AGE_HOURS: updates.maxAgeHours,
+      UPDATE_MODE: updates.mode
+    },
+    Backfill: {
+      BACKFILL_MAX_PAGES: backfill.maxPages,
+      BACKFILL_BATCH_SIZE: backfill.batchSize,
+      BACKFILL_BATCH_DELAY: backfill.batchDelay
+    },
+    Outbox: {
+      SEND_DELAY: outbox.sendDelay,
+      OUTBOX_MAX_ATTEMPTS: outbox.maxAttempts,
+      OUTBOX_RETRY_DELAY: outbox.retryDelay,
+      OUTBOX_MAX_RETRY_DELAY: outbox.maxRetryDelay
+    },
+    Storage: {
+      STORAGE_BACKEND: storage.backend,
+      [storage.backend === 'sqlite' ? 'SQLITE_PATH' : 'DATA_PATH']:
+        storage.backend === 'sqlite' ? storage.sqlitePath : storage.dataPath,
+      MAX_TRACKED_FILMS: storage.maxTrackedFilms
+    },
+    Telegram: {
+      INLINE_BUTTONS: telegram.inlineButtons,
+      ADMIN_IDS: `${telegram.adminIds.length} configured`,
+      SUBSCRIBER_IDS: `${telegram.subscriberIds.length} configured`,
+      COMMAND_COOLDOWNS: Object.entries(telegram.commandCooldowns)
+        .map(([command, seconds]) => `/${command} ${seconds}s`).join(', ') || 'none',
+      AUDIT_LOG_PATH: telegram.auditLogPath || 'off',
+      Mode: server.webhookUrl ? 'webhook' : 'polling'
+    }
+  };
+}
+
+export async function configCommand(ctx, config, getStatus) {
+  try {
+    const sections = describeConfig(config, getStatus().activeDomain);
+    const lines = ['<b>⚙️ Effective settings</b>'];
+
+    for (const [section, settings] of Object.entries(sections)) {
+      lines.push('', `<b>${section}</b>`);
+      for (const [key, value] of Object.entries(settings)) {
+        lines.push(`${formatTextMessage(key)}: <code>${formatTextMessage(String(value))}</code>`);
+      }
+    }
+
+    await ctx.reply(lines.join('\n'), { parse_mode: 'HTML' });
+  } catch (error) {
+    logger.error('Error in /config command:', error.message);
+    await ctx.reply('❌ Failed to load the settings.', { parse_mode: 'HTML' });
+  }
+}
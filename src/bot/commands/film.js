@@ -0,0 +1,54 @@
+/**
+ * /film command handler
+ * Shows a stored film again from the database, without scraping the forum
+ */
+
+import { extractFilmId } from '../../scraper/parser.js';
+import { formatFilmCaption } from '../../formatters/messageFormatter.js';
+import { buildFilmKeyboard } from '../filmKeyboard.js';
+import { createLogger } from '../../utils/logger.js';
+
+const logger = createLogger('FilmCommand');
+
+export async function filmCommand(ctx, database, config) {
+  try {
+    const arg = (ctx.match || '').trim();
+    // Accept a topic ID or a pasted topic URL
+    const filmId = /^\d+$/.test(arg) ? arg : extractFilmId(arg);
+
+    if (!filmId) {
+      await ctx.reply('ℹ️ <b>Usage:</b> <code>/film &lt;topic id&gt;</code>, e.g. from /search results', { parse_mode: 'HTML' });
+      return;
+    }
+
+    const film = database.getFilm(filmId);
+
+    if (!film || film.backfilled || !film.downloads?.length) {
+      await ctx.reply(`❌ No stored film with topic ID ${filmId}. Try /search instead.`, { parse_mode: 'HTML' });
+      return;
+    }
+
+    const compact = config.telegram.inlineButtons;
+    const options = { parse_mode: 'HTML' };
+    if (compact) {
+      options.reply_markup = buildFilmKeyboard(film);
+    }
+
+    const caption = formatFilmCaption(film, compact);
+
+    if (film.posterUrl) {
+      try {
+        await ctx.replyWithPhoto(film.posterUrl, { caption, ...options });
+        return;
+      } catch (error) {
+        // Old poster URLs expire; the film is still worth showing without one
+        logger.warn(`Poster of ${film.title} failed, sending text instead:`, error.message);
+      }
+    }
+
+    await ctx.reply(caption, options);
+  } catch (error) {
+    logger.error('Error in /film command:', error.message);
+    await ctx.reply('❌ Failed to load the film.', { parse_mode: 'HTML' });
+  }
+}
@@ -0,0 +1,68 @@
+/**
+ * /filters command handler
+ * Shows or updates the language, quality, size and CAM filters for the current chat
+ */
+
+import {
+  createEmptyFilters,
+  parseFilterArgs,
+  describeFilters
+} from '../../filters/subscriberFilters.js';
+import { formatTextMessage } from '../../formatters/messageFormatter.js';
+import { createLogger } from '../../utils/logger.js';
+
+const logger = createLogger('FiltersCommand');
+
+const USAGE = `
+<b>Usage:</b>
+/filters lang:tamil,malayalam res:1080p,4k max:5GB
+/filters section:tamil,telugu - Only some forum sections
+/filters cam:off - Skip CAM and PreDVD releases
+/filters res:any - Clear one filter
+/filters reset - Clear all filters
+`;
+
+export async function filtersCommand(ctx, database, sources) {
+  try {
+    const subscriber = database.getSubscriber(ctx.chat.id);
+
+    if (!subscriber || !subscriber.active) {
+      await ctx.reply('ℹ️ This chat is not subscribed. Use /subscribe first.', { parse_mode: 'HTML' });
+      return;
+    }
+
+    const current = subscriber.filters || createEmptyFilters();
+    const args = (ctx.match || '').trim();
+
+    // No arguments: show current filters
+    if (!args) {
+      await ctx.reply(
+        `<b>🎚 Current filters</b>\n${formatTextMessage(describeFilters(current))}\n${USAGE}`.trim(),
+        { parse_mode: 'HTML' }
+      );
+      return;
+    }
+
+    const knownSections = sources.map(source => source.name);
+    const { filters, errors } = parseFilterArgs(args, current, knownSections);
+
+    if (errors.length > 0) {
+      await ctx.reply(
+        `❌ ${formatTextMessage(errors.join('\n'))}\n${USAGE}`.trim(),
+        { parse_mode: 'HTML' }
+      );
+      return;
+    }
+
+    await database.updateSubscriberFilters(ctx.chat.id, filters);
+    logger.info(`Chat ${ctx.chat.id} updated filters`);
+
+    await ctx.reply(
+      `✅ <b>Filters updated</b>\n${formatTextMessage(describeFilters(filters))}`,
+      { parse_mode: 'HTML' }
+    );
+  } catch (error) {
+    logger.error('Error in /filters command:', error.message);
+    await ctx.reply('❌ Failed to update filters.', { parse_mode: 'HTML' });
+  }
+}
@@ -0,0 +1,42 @@
+/**
+ * /forget command handler (admin only)
+ * Removes a seen film, so the next check scrapes and posts it again
+ */
+
+import { extractFilmId } from '../../scraper/parser.js';
+import { formatTextMessage } from '../../formatters/messageFormatter.js';
+import { createLogger } from '../../utils/logger.js';
+
+const logger = createLogger('ForgetCommand');
+
+export async function forgetCommand(ctx, database) {
+  try {
+    const arg = (ctx.match || '').trim();
+    // Accept a topic ID or a pasted topic URL
+    const filmId = /^\d+$/.test(arg) ? arg : extractFilmId(arg);
+
+    if (!filmId) {
+      await ctx.reply(
+        'ℹ️ <b>Usage:</b> <code>/forget &lt;topic id&gt;</code> - The film is posted again if it is still on the first listing pages',
+        { parse_mode: 'HTML' }
+      );
+      return;
+    }
+
+    const film = database.getFilm(filmId);
+
+    if (!(await database.removeFilm(filmId))) {
+      await ctx.reply(`❌ No seen film with topic ID ${filmId}.`, { parse_mode: 'HTML' });
+      return;
+    }
+
+    logger.info(`Film ${filmId} forgotten by ${ctx.from.id}`);
+    await ctx.reply(
+      `🗑 Forgot <b>${formatTextMessage(film?.title || filmId)}</b>. It will be posted again on the next check if it is still listed.`,
+      { parse_mode: 'HTML' }
+    );
+  } catch (error) {
+    logger.error('Error in /forget command:', error.message);
+    await ctx.reply('❌ Failed to forget the film.', { parse_mode: 'HTML' });
+  }
+}
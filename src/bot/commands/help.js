@@ -8,7 +8,23 @@ export async function helpCommand(ctx) {
 
 <b>Commands:</b>
 /start - Welcome message and bot info
-/latest - Manually check for new films
+/latest - Manually check for new films (approved subscribers)
+/subscribe - Receive new films in this chat (group admins)
+/unsubscribe - Stop receiving films in this chat (group admins)
+/filters - Limit languages, qualities and file size (group admins)
+/watch &lt;keyword&gt; - Get a private alert when a title, actor or director appears
+/unwatch &lt;keyword&gt; - Remove a keyword (or <code>all</code>)
+/watchlist - Show your watched keywords
+/search &lt;text&gt; - Search films I have already posted
+/film &lt;topic id&gt; - Show a posted film again
+
+<b>Admin commands:</b>
+/backfill &lt;pages&gt; [post] - Import older topics
+/status - Scheduler, storage and last run state
+/pause, /resume - Stop or restart scheduled checks
+/setschedule &lt;cron&gt; - Change the check schedule
+/forget &lt;topic id&gt; - Let a seen film be posted again
+/config - Show the effective settings
 /help - Show this help message
 
 <b>How it works:</b>
@@ -21,10 +37,22 @@ export async function helpCommand(ctx) {
    • Download options (all qualities)
    • Magnet and direct links
 
+<b>Filters:</b>
+<code>/filters lang:tamil,malayalam res:1080p,4k max:5GB</code>
+<code>/filters section:telugu</code> limits this chat to some forum sections.
+<code>/filters cam:off</code> skips CAM and PreDVD rips; you still get the WEB-DL when it arrives.
+Only matching films and download options are sent to this chat.
+<code>/filters reset</code> clears them.
+
+<b>Search:</b>
+<code>/search vijay year:2024 res:4k</code> filters by year, language (<code>lang:tamil</code>) and resolution.
+Type <code>@${ctx.me.username} kanguva 1080p</code> in any chat to share a film I have already posted.
+
 <b>Notes:</b>
 • I never send duplicate films
 • Each film is sent only once
-• Use /latest to check immediately
+• Works in private chats, groups and channels
+• Use /latest to check immediately (once every few minutes)
 • Automatic checks run in background
 
 Need help? Check the bot's GitHub repository.
@@ -1,21 +1,36 @@
 /**
  * /latest command handler
- * Manually triggers film checking
+ * Manually triggers film checking, or joins the check that is already running
  */
 
 import { createLogger } from '../../utils/logger.js';
 
 const logger = createLogger('LatestCommand');
 
-export async function latestCommand(ctx, checkAndSendUpdates) {
+/**
+ * Format seconds as "40s" or "3m 20s"
+ */
+function formatElapsed(seconds) {
+  const minutes = Math.floor(seconds / 60);
+  return minutes > 0 ? `${minutes}m ${seconds % 60}s` : `${seconds}s`;
+}
+
+export async function latestCommand(ctx, checkAndSendUpdates, checkCoordinator) {
   try {
     logger.info('Manual check triggered via /latest command');
 
     // Send initial message
-    const statusMessage = await ctx.reply('🔍 Checking for new films...', { parse_mode: 'HTML' });
+    const currentRun = checkCoordinator.getCurrentRun();
+    let statusText = '🔍 Checking for new films...';
+    if (currentRun?.kind === 'check') {
+      statusText = `⏳ A check is already running, started ${formatElapsed(currentRun.elapsedSeconds)} ago. I'll report its result.`;
+    } else if (currentRun) {
+      statusText = `⏳ A ${currentRun.kind} is running, started ${formatElapsed(currentRun.elapsedSeconds)} ago. I'll check once it is done.`;
+    }
+    const statusMessage = await ctx.reply(statusText, { parse_mode: 'HTML' });
 
-    // Run the update check
-    const result = await checkAndSendUpdates();
+    // Run the update check, or wait for the one in flight
+    const result = await checkAndSendUpdates('/latest');
 
     // Delete the status message
     try {
@@ -26,11 +41,15 @@ export async function latestCommand(ctx, checkAndSendUpdates) {
 
     // Send result message
     if (result.success) {
-      if (result.newFilmsCount > 0) {
-        await ctx.reply(
-          `✅ Found and sent ${result.newFilmsCount} new film${result.newFilmsCount === 1 ? '' : 's'}!`,
-          { parse_mode: 'HTML' }
-        );
+      if (result.newFilmsCount > 0 || result.updatedFilmsCount > 0) {
+        const lines = [];
+        if (result.newFilmsCount > 0) {
+          lines.push(`✅ Found and sent ${result.newFilmsCount} new film${result.newFilmsCount === 1 ? '' : 's'}!`);
+        }
+        if (result.updatedFilmsCount > 0) {
+          lines.push(`🆕 ${result.updatedFilmsCount} film${result.updatedFilmsCount === 1 ? '' : 's'} got new download options.`);
+        }
+        await ctx.reply(lines.join('\n'), { parse_mode: 'HTML' });
       } else {
         await ctx.reply('ℹ️ No new films found. All caught up!', { parse_mode: 'HTML' });
       }
@@ -0,0 +1,28 @@
+/**
+ * /pause command handler (admin only)
+ * Stops scheduled checks until /resume; /latest still works
+ */
+
+import { createLogger } from '../../utils/logger.js';
+
+const logger = createLogger('PauseCommand');
+
+export async function pauseCommand(ctx, scheduler) {
+  try {
+    if (!scheduler.getStatus().running) {
+      await ctx.reply('ℹ️ The scheduler is not running (see <code>ENABLE_SCHEDULER</code>).', { parse_mode: 'HTML' });
+      return;
+    }
+
+    if (!(await scheduler.pause())) {
+      await ctx.reply('ℹ️ Scheduled checks are already paused. Use /resume to restart them.', { parse_mode: 'HTML' });
+      return;
+    }
+
+    logger.info(`Scheduler paused by ${ctx.from.id}`);
+    await ctx.reply('⏸ Scheduled checks paused. /latest still works; use /resume to restart them.', { parse_mode: 'HTML' });
+  } catch (error) {
+    logger.error('Error in /pause command:', error.message);
+    await ctx.reply('❌ Failed to pause the scheduler.', { parse_mode: 'HTML' });
+  }
+}
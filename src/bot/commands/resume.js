@@ -0,0 +1,32 @@
+/**
+ * /resume command handler (admin only)
+ * Restarts scheduled checks paused with /pause
+ */
+
+import { formatTextMessage } from '../../formatters/messageFormatter.js';
+import { createLogger } from '../../utils/logger.js';
+
+const logger = createLogger('ResumeCommand');
+
+export async function resumeCommand(ctx, scheduler) {
+  try {
+    if (!scheduler.getStatus().running) {
+      await ctx.reply('ℹ️ The scheduler is not running (see <code>ENABLE_SCHEDULER</code>).', { parse_mode: 'HTML' });
+      return;
+    }
+
+    if (!(await scheduler.resume())) {
+      await ctx.reply('ℹ️ Scheduled checks are not paused.', { parse_mode: 'HTML' });
+      return;
+    }
+
+    logger.info(`Scheduler resumed by ${ctx.from.id}`);
+    await ctx.reply(
+      `▶️ Scheduled checks resumed (<code>${formatTextMessage(scheduler.getStatus().schedule)}</code>).`,
+      { parse_mode: 'HTML' }
+    );
+  } catch (error) {
+    logger.error('Error in /resume command:', error.message);
+    await ctx.reply('❌ Failed to resume the scheduler.', { parse_mode: 'HTML' });
+  }
+}
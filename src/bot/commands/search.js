@@ -0,0 +1,126 @@
+/**
+ * /search command handler
+ * Searches stored films and pages through the matches with prev/next buttons
+ */
+
+import { InlineKeyboard } from 'grammy';
+import { parseSearchQuery, searchFilms } from '../../filters/filmSearch.js';
+import { formatTextMessage } from '../../formatters/messageFormatter.js';
+import { createLogger } from '../../utils/logger.js';
+
+const logger = createLogger('SearchCommand');
+
+const RESULTS_PER_PAGE = 5;
+
+// Telegram limits callback data to 64 bytes
+const MAX_CALLBACK_DATA_BYTES = 64;
+
+// Callback data of the page buttons: "sr:<offset>:<query>"
+export const SEARCH_CALLBACK_PATTERN = /^sr:(\d+):(.*)$/s;
+
+const USAGE = `
+ℹ️ <b>Usage:</b>
+<code>/search leo</code> - Search stored films by title
+<code>/search vijay year:2024 res:4k</code> - Filter by year and resolution
+<code>/search kanguva lang:tamil,telugu</code> - Filter by language
+<code>/film &lt;topic id&gt;</code> - Show one film again
+`;
+
+/**
+ * Build the prev/next buttons
+ * The query is kept in the callback data, so the buttons keep working after a restart
+ * @returns {InlineKeyboard|null} Null if there is only one page or the query is too long
+ */
+function buildPageKeyboard(text, offset, total) {
+  const buttons = [];
+  if (offset > 0) {
+    buttons.push(['⬅️ Prev', Math.max(offset - RESULTS_PER_PAGE, 0)]);
+  }
+  if (offset + RESULTS_PER_PAGE < total) {
+    buttons.push(['Next ➡️', offset + RESULTS_PER_PAGE]);
+  }
+
+  const keyboard = new InlineKeyboard();
+  for (const [label, pageOffset] of buttons) {
+    const data = `sr:${pageOffset}:${text}`;
+    if (Buffer.byteLength(data) > MAX_CALLBACK_DATA_BYTES) {
+      return null;
+    }
+    keyboard.text(label, data);
+  }
+
+  return buttons.length > 0 ? keyboard : null;
+}
+
+/**
+ * Render one page of search results
+ * @returns {Object} {text, keyboard}
+ */
+export function renderSearchPage(database, text, offset) {
+  const query = parseSearchQuery(text);
+  const { results, total } = searchFilms(database.getAllFilms(), query, { offset, limit: RESULTS_PER_PAGE });
+
+  if (total === 0) {
+    return { text: `🔎 No stored films match "${formatTextMessage(text)}".`, keyboard: null };
+  }
+
+  const lines = results.map((film, i) => {
+    const title = film.year ? `${film.title} (${film.year})` : film.title;
+    const resolutions = [...new Set(film.downloads.map(d => d.resolution).filter(Boolean))].join(', ');
+    const details = [film.language, resolutions].filter(Boolean).join(' • ');
+
+    return `${offset + i + 1}. <b>${formatTextMessage(title)}</b>\n` +
+      `${formatTextMessage(details)}\n<code>/film ${formatTextMessage(film.id)}</code>`;
+  });
+
+  const keyboard = buildPageKeyboard(text, offset, total);
+  const header = `🔎 <b>Results for "${formatTextMessage(text)}"</b> ` +
+    `(${offset + 1}-${offset + results.length} of ${total})`;
+  const footer = !keyboard && offset + results.length < total
+    ? '\n\nℹ️ Add more words or filters to see the other matches.'
+    : '';
+
+  return { text: `${header}\n\n${lines.join('\n\n')}${footer}`, keyboard };
+}
+
+export async function searchCommand(ctx, database) {
+  try {
+    const text = (ctx.match || '').trim().replace(/\s+/g, ' ');
+
+    if (!text) {
+      await ctx.reply(USAGE.trim(), { parse_mode: 'HTML' });
+      return;
+    }
+
+    const { errors } = parseSearchQuery(text);
+    if (errors.length > 0) {
+      await ctx.reply(`❌ ${formatTextMessage(errors.join('\n'))}\n${USAGE}`.trim(), { parse_mode: 'HTML' });
+      return;
+    }
+
+    const page = renderSearchPage(database, text, 0);
+    await ctx.reply(page.text, {
+      parse_mode: 'HTML',
+      ...(page.keyboard ? { reply_markup: page.keyboard } : {})
+    });
+  } catch (error) {
+    logger.error('Error in /search command:', error.message);
+    await ctx.reply('❌ Search failed. Please try again later.', { parse_mode: 'HTML' });
+  }
+}
+
+export async function searchPageCallback(ctx, database) {
+  try {
+    const offset = parseInt(ctx.match[1], 10);
+    const page = renderSearchPage(database, ctx.match[2], offset);
+
+    await ctx.editMessageText(page.text, {
+      parse_mode: 'HTML',
+      ...(page.keyboard ? { reply_markup: page.keyboard } : {})
+    });
+    await ctx.answerCallbackQuery();
+  } catch (error) {
+    logger.error('Error in search page callback:', error.message);
+    await ctx.answerCallbackQuery({ text: '❌ Failed to load that page.' }).catch(() => {});
+  }
+}
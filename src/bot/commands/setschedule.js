@@ -0,0 +1,49 @@
+/**
+ * /setschedule command handler (admin only)
+ * Changes the cron schedule of automatic checks without a redeploy
+ */
+
+import cron from 'node-cron';
+import { formatTextMessage } from '../../formatters/messageFormatter.js';
+import { createLogger } from '../../utils/logger.js';
+
+const logger = createLogger('SetScheduleCommand');
+
+const USAGE = `
+ℹ️ <b>Usage:</b>
+<code>/setschedule &lt;cron&gt;</code>, e.g.
+<code>/setschedule 0 */2 * * *</code> - Every 2 hours
+<code>/setschedule */30 * * * *</code> - Every 30 minutes
+`;
+
+export async function setScheduleCommand(ctx, scheduler) {
+  try {
+    const cronSchedule = (ctx.match || '').trim().replace(/\s+/g, ' ');
+
+    if (!cronSchedule) {
+      await ctx.reply(USAGE.trim(), { parse_mode: 'HTML' });
+      return;
+    }
+
+    if (!cron.validate(cronSchedule)) {
+      await ctx.reply(
+        `❌ <code>${formatTextMessage(cronSchedule)}</code> is not a valid cron expression.\n${USAGE}`.trim(),
+        { parse_mode: 'HTML' }
+      );
+      return;
+    }
+
+    await scheduler.setSchedule(cronSchedule);
+    logger.info(`Schedule changed to "${cronSchedule}" by ${ctx.from.id}`);
+
+    const { running, paused } = scheduler.getStatus();
+    let note = '';
+    if (!running) note = '\nThe scheduler is disabled, so it applies once it is enabled.';
+    else if (paused) note = '\nScheduled checks are paused; use /resume to restart them.';
+
+    await ctx.reply(`✅ Schedule set to <code>${formatTextMessage(cronSchedule)}</code>.${note}`, { parse_mode: 'HTML' });
+  } catch (error) {
+    logger.error('Error in /setschedule command:', error.message);
+    await ctx.reply('❌ Failed to change the schedule.', { parse_mode: 'HTML' });
+  }
+}
@@ -1,10 +1,27 @@
 /**
  * /start command handler
+ * Also handles the "dl_<filmId>_<index>" deep link of download buttons pressed
+ * before the user had a private chat with the bot
  */
 
 import { formatTextMessage } from '../../formatters/messageFormatter.js';
+import { DOWNLOAD_START_PATTERN } from '../filmKeyboard.js';
+import { sendDownloadOption } from '../callbacks/download.js';
+
+export async function startCommand(ctx, database) {
+  const downloadMatch = (ctx.match || '').match(DOWNLOAD_START_PATTERN);
+  if (downloadMatch) {
+    const sent = await sendDownloadOption(ctx.api, ctx.chat.id, database, downloadMatch[1], parseInt(downloadMatch[2], 10));
+    if (!sent) {
+      await ctx.reply(
+        '⚠️ This film is no longer tracked. Only the newest films are kept, so its buttons stopped working; ' +
+        'open its topic on the site instead.',
+        { parse_mode: 'HTML' }
+      );
+    }
+    return;
+  }
 
-export async function startCommand(ctx) {
   const message = `
 <b>🎬 Welcome to 1TamilMV Bot!</b>
 
@@ -20,6 +37,11 @@ I monitor <b>1TamilMV</b> for new Tamil movie releases and send you detailed upd
 <b>Available Commands:</b>
 /start - Show this message
 /latest - Check for new films now
+/subscribe - Get new films in this chat
+/unsubscribe - Stop updates in this chat
+/filters - Choose languages, qualities and max size
+/watch - Get alerted about a specific film
+/search - Search films posted so far
 /help - Get help
 
 <b>Status:</b> ✅ Active and monitoring
@@ -0,0 +1,84 @@
+/**
+ * /status command handler (admin only)
+ * Shows the scheduler, storage, browser and last run state
+ */
+
+import { formatTextMessage } from '../../formatters/messageFormatter.js';
+import { createLogger } from '../../utils/logger.js';
+
+const logger = createLogger('StatusCommand');
+
+/**
+ * Format seconds as "2d 3h 14m"
+ */
+function formatDuration(seconds) {
+  const days = Math.floor(seconds / 86400);
+  const hours = Math.floor((seconds % 86400) / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+
+  return [days && `${days}d`, hours && `${hours}h`, `${minutes}m`].filter(Boolean).join(' ');
+}
+
+/**
+ * Describe the most recent check
+ */
+function describeLastRun(lastRun) {
+  if (!lastRun) {
+    return 'No check since startup';
+  }
+
+  const duration = ((new Date(lastRun.finishedAt) - new Date(lastRun.startedAt)) / 1000).toFixed(1);
+  const outcome = lastRun.success
+    ? `✅ ${lastRun.newFilmsCount} new, ${lastRun.updatedFilmsCount} updated`
+    : `❌ ${formatTextMessage(lastRun.error)}`;
+
+  return `${outcome} (${lastRun.finishedAt}, ${duration}s)`;
+}
+
+/**
+ * Describe the browser state, including crashes it recovered from
+ */
+function describeBrowser(browser) {
+  const state = browser.running ? `running (${browser.pageLoads} page loads)` : 'closed';
+  const events = [
+    browser.crashes && `${browser.crashes} crash${browser.crashes === 1 ? '' : 'es'}, last ${browser.lastCrashAt}`,
+    browser.recycles && `${browser.recycles} recycled`
+  ].filter(Boolean);
+
+  return events.length > 0 ? `${state}; ${formatTextMessage(events.join('; '))}` : state;
+}
+
+export async function statusCommand(ctx, getStatus) {
+  try {
+    const status = getStatus();
+    const { scheduler, database } = status;
+
+    let schedulerState = 'disabled';
+    if (scheduler.enabled) {
+      schedulerState = scheduler.paused ? '⏸ paused' : (scheduler.running ? '▶️ running' : 'stopped');
+    }
+
+    const message = `
+<b>📊 Bot status</b>
+
+<b>Scheduler:</b> ${schedulerState}
+<b>Schedule:</b> <code>${formatTextMessage(scheduler.schedule)}</code>
+<b>Last run:</b> ${describeLastRun(status.lastRun)}
+<b>Running now:</b> ${status.currentRun ? `${status.currentRun.kind} (${formatTextMessage(status.currentRun.trigger)}), started ${status.currentRun.elapsedSeconds}s ago` : 'nothing'}
+
+<b>Films tracked:</b> ${database.totalFilms}
+<b>Active subscribers:</b> ${database.activeSubscribers}
+<b>Last database update:</b> ${formatTextMessage(database.lastUpdate || 'never')}
+<b>Pending posts:</b> ${status.outbox.pending}${status.outbox.retrying ? ` (${status.outbox.retrying} retrying)` : ''}
+
+<b>Browser:</b> ${describeBrowser(status.browser)}
+<b>Site domain:</b> ${formatTextMessage(status.activeDomain)}
+<b>Uptime:</b> ${formatDuration(status.uptime)}
+`;
+
+    await ctx.reply(message.trim(), { parse_mode: 'HTML' });
+  } catch (error) {
+    logger.error('Error in /status command:', error.message);
+    await ctx.reply('❌ Failed to load the status.', { parse_mode: 'HTML' });
+  }
+}
@@ -0,0 +1,34 @@
+/**
+ * /subscribe command handler
+ * Registers the current chat to receive film updates
+ */
+
+import { createLogger } from '../../utils/logger.js';
+
+const logger = createLogger('SubscribeCommand');
+
+export async function subscribeCommand(ctx, database) {
+  try {
+    const chat = ctx.chat;
+    const title = chat.title || chat.username || chat.first_name || null;
+
+    const added = await database.addSubscriber({
+      chatId: chat.id,
+      type: chat.type,
+      title
+    });
+
+    if (added) {
+      logger.info(`Chat ${chat.id} (${chat.type}) subscribed`);
+      await ctx.reply(
+        '✅ Subscribed! New films will be posted to this chat.\nUse /unsubscribe to stop.',
+        { parse_mode: 'HTML' }
+      );
+    } else {
+      await ctx.reply('ℹ️ This chat is already subscribed.', { parse_mode: 'HTML' });
+    }
+  } catch (error) {
+    logger.error('Error in /subscribe command:', error.message);
+    await ctx.reply('❌ Failed to subscribe this chat.', { parse_mode: 'HTML' });
+  }
+}
@@ -0,0 +1,27 @@
+/**
+ * /unsubscribe command handler
+ * Stops film updates for the current chat
+ */
+
+import { createLogger } from '../../utils/logger.js';
+
+const logger = createLogger('UnsubscribeCommand');
+
+export async function unsubscribeCommand(ctx, database) {
+  try {
+    const removed = await database.removeSubscriber(ctx.chat.id, 'unsubscribed');
+
+    if (removed) {
+      logger.info(`Chat ${ctx.chat.id} unsubscribed`);
+      await ctx.reply(
+        '👋 Unsubscribed. This chat will no longer receive film updates.\nUse /subscribe to start again.',
+        { parse_mode: 'HTML' }
+      );
+    } else {
+      await ctx.reply('ℹ️ This chat is not subscribed.', { parse_mode: 'HTML' });
+    }
+  } catch (error) {
+    logger.error('Error in /unsubscribe command:', error.message);
+    await ctx.reply('❌ Failed to unsubscribe this chat.', { parse_mode: 'HTML' });
+  }
+}
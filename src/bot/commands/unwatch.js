@@ -0,0 +1,46 @@
+/**
+ * /unwatch command handler
+ * Removes a keyword (or every keyword) from the user's watchlist
+ */
+
+import { formatTextMessage } from '../../formatters/messageFormatter.js';
+import { createLogger } from '../../utils/logger.js';
+
+const logger = createLogger('UnwatchCommand');
+
+export async function unwatchCommand(ctx, database) {
+  try {
+    if (!ctx.from) {
+      await ctx.reply('ℹ️ Watchlists are personal. Send /unwatch to me in a private chat.', { parse_mode: 'HTML' });
+      return;
+    }
+
+    const keyword = (ctx.match || '').trim();
+
+    if (!keyword) {
+      await ctx.reply(
+        'ℹ️ Usage: <code>/unwatch &lt;keyword&gt;</code> or <code>/unwatch all</code>',
+        { parse_mode: 'HTML' }
+      );
+      return;
+    }
+
+    const clearAll = keyword.toLowerCase() === 'all';
+    const removed = await database.removeWatchKeyword(ctx.from.id, clearAll ? null : keyword);
+
+    if (removed > 0) {
+      logger.info(`User ${ctx.from.id} removed ${removed} watch keywords`);
+      await ctx.reply(
+        clearAll
+          ? `🗑 Removed all ${removed} keywords from your watchlist.`
+          : `🗑 Stopped watching <b>${formatTextMessage(keyword)}</b>.`,
+        { parse_mode: 'HTML' }
+      );
+    } else {
+      await ctx.reply('ℹ️ That keyword is not on your watchlist. See /watchlist.', { parse_mode: 'HTML' });
+    }
+  } catch (error) {
+    logger.error('Error in /unwatch command:', error.message);
+    await ctx.reply('❌ Failed to update your watchlist.', { parse_mode: 'HTML' });
+  }
+}
@@ -0,0 +1,60 @@
+/**
+ * /watch command handler
+ * Adds a keyword to the user's watchlist
+ */
+
+import { formatTextMessage } from '../../formatters/messageFormatter.js';
+import { createLogger } from '../../utils/logger.js';
+
+const logger = createLogger('WatchCommand');
+
+const MAX_KEYWORDS_PER_USER = 20;
+const MAX_KEYWORD_LENGTH = 50;
+
+export async function watchCommand(ctx, database) {
+  try {
+    if (!ctx.from) {
+      await ctx.reply('ℹ️ Watchlists are personal. Send /watch to me in a private chat.', { parse_mode: 'HTML' });
+      return;
+    }
+
+    const keyword = (ctx.match || '').trim();
+
+    if (!keyword) {
+      await ctx.reply(
+        'ℹ️ Usage: <code>/watch &lt;keyword&gt;</code>\nExample: <code>/watch Vidaamuyarchi</code>',
+        { parse_mode: 'HTML' }
+      );
+      return;
+    }
+
+    if (keyword.length > MAX_KEYWORD_LENGTH) {
+      await ctx.reply(`❌ Keywords can be at most ${MAX_KEYWORD_LENGTH} characters.`, { parse_mode: 'HTML' });
+      return;
+    }
+
+    if (database.getWatchlist(ctx.from.id).length >= MAX_KEYWORDS_PER_USER) {
+      await ctx.reply(
+        `❌ You can watch at most ${MAX_KEYWORDS_PER_USER} keywords. Use /unwatch to remove some.`,
+        { parse_mode: 'HTML' }
+      );
+      return;
+    }
+
+    const added = await database.addWatchKeyword(ctx.from.id, keyword);
+
+    if (added) {
+      logger.info(`User ${ctx.from.id} added watch keyword`);
+      await ctx.reply(
+        `👀 Watching <b>${formatTextMessage(keyword)}</b>. I'll message you privately when it shows up.\n` +
+        'Make sure you have started a private chat with me so I can reach you.',
+        { parse_mode: 'HTML' }
+      );
+    } else {
+      await ctx.reply(`ℹ️ You are already watching <b>${formatTextMessage(keyword)}</b>.`, { parse_mode: 'HTML' });
+    }
+  } catch (error) {
+    logger.error('Error in /watch command:', error.message);
+    await ctx.reply('❌ Failed to update your watchlist.', { parse_mode: 'HTML' });
+  }
+}
@@ -0,0 +1,37 @@
+/**
+ * /watchlist command handler
+ * Lists the user's watched keywords
+ */
+
+import { formatTextMessage } from '../../formatters/messageFormatter.js';
+import { createLogger } from '../../utils/logger.js';
+
+const logger = createLogger('WatchlistCommand');
+
+export async function watchlistCommand(ctx, database) {
+  try {
+    if (!ctx.from) {
+      await ctx.reply('ℹ️ Watchlists are personal. Send /watchlist to me in a private chat.', { parse_mode: 'HTML' });
+      return;
+    }
+
+    const entries = database.getWatchlist(ctx.from.id);
+
+    if (entries.length === 0) {
+      await ctx.reply(
+        'ℹ️ Your watchlist is empty. Add a title, actor or director with <code>/watch &lt;keyword&gt;</code>.',
+        { parse_mode: 'HTML' }
+      );
+      return;
+    }
+
+    const lines = entries.map(entry => `• ${formatTextMessage(entry.keyword)}`);
+    await ctx.reply(
+      `<b>👀 Your watchlist (${entries.length})</b>\n${lines.join('\n')}\n\nRemove with <code>/unwatch &lt;keyword&gt;</code>`,
+      { parse_mode: 'HTML' }
+    );
+  } catch (error) {
+    logger.error('Error in /watchlist command:', error.message);
+    await ctx.reply('❌ Failed to load your watchlist.', { parse_mode: 'HTML' });
+  }
+}
@@ -0,0 +1,87 @@
+/**
+ * Inline keyboard attached to film messages
+ * One button per download option plus an "Open topic" link.
+ * Buttons reference the stored film by ID and the option by its position in the
+ * stored downloads, so they keep working after a restart.
+ */
+
+import { InlineKeyboard } from 'grammy';
+import { formatDownloadLabel } from '../formatters/messageFormatter.js';
+
+// Telegram allows 100 buttons per message; the rest stay reachable through the topic link
+const MAX_DOWNLOAD_BUTTONS = 30;
+const BUTTONS_PER_ROW = 2;
+
+// Callback data of a download button: "dl:<filmId>:<index>"
+export const DOWNLOAD_CALLBACK_PATTERN = /^dl:([\w-]+):(\d+)$/;
+
+// Deep link payload used when the links can't be sent privately yet: "dl_<filmId>_<index>"
+export const DOWNLOAD_START_PATTERN = /^dl_([\w-]+)_(\d+)$/;
+
+/**
+ * Build the callback data of a download button
+ */
+export function buildDownloadCallbackData(filmId, index) {
+  return `dl:${filmId}:${index}`;
+}
+
+/**
+ * Build the /start payload that opens a private chat and sends a download option
+ */
+export function buildDownloadStartPayload(filmId, index) {
+  return `dl_${filmId}_${index}`;
+}
+
+/**
+ * Find the position of a download option in the stored film
+ * Records read back from storage are copies, so options are compared by content as well
+ */
+function findDownloadIndex(film, download) {
+  const index = film.downloads.indexOf(download);
+  if (index !== -1) {
+    return index;
+  }
+
+  const key = JSON.stringify(download);
+  return film.downloads.findIndex(candidate => JSON.stringify(candidate) === key);
+}
+
+/**
+ * Build the inline keyboard for a film message
+ * @param {Object} film - Film as stored, with every download option
+ * @param {Array} downloads - Options to show, e.g. after a chat's filters (default: all)
+ * @returns {InlineKeyboard}
+ */
+export function buildFilmKeyboard(film, downloads = film.downloads) {
+  const keyboard = new InlineKeyboard();
+  let buttonCount = 0;
+
+  for (const download of (downloads || []).slice(0, MAX_DOWNLOAD_BUTTONS)) {
+    const index = findDownloadIndex(film, download);
+    if (index === -1) continue;
+
+    keyboard.text(formatDownloadLabel(download), buildDownloadCallbackData(film.id, index));
+    buttonCount++;
+
+    if (buttonCount % BUTTONS_PER_ROW === 0) {
+      keyboard.row();
+    }
+  }
+
+  if (film.detailUrl) {
+    if (buttonCount % BUTTONS_PER_ROW !== 0) {
+      keyboard.row();
+    }
+    keyboard.url('🔗 Open topic', film.detailUrl);
+  }
+
+  return keyboard;
+}
+
+export default {
+  DOWNLOAD_CALLBACK_PATTERN,
+  DOWNLOAD_START_PATTERN,
+  buildDownloadCallbackData,
+  buildDownloadStartPayload,
+  buildFilmKeyboard
+};
@@ -0,0 +1,77 @@
+/**
+ * Inline query handler
+ * Lets users type "@bot kanguva 1080p" in any chat and share a film the bot has already scraped
+ */
+
+import { parseSearchQuery, searchFilms } from '../../filters/filmSearch.js';
+import { formatFilmText } from '../../formatters/messageFormatter.js';
+import { buildFilmKeyboard } from '../filmKeyboard.js';
+import { createLogger } from '../../utils/logger.js';
+
+const logger = createLogger('InlineSearch');
+
+// Telegram accepts at most 50 results per answer; more are loaded through next_offset
+const RESULTS_PER_PAGE = 20;
+const CACHE_TIME_SECONDS = 60;
+
+/**
+ * Build the short line shown under a result's title, e.g. "Tamil • 4K, 1080p, 720p"
+ */
+function describeResult(film) {
+  const resolutions = [...new Set(film.downloads.map(download => download.resolution).filter(Boolean))];
+  return [film.language, resolutions.join(', ')].filter(Boolean).join(' • ');
+}
+
+/**
+ * Build an inline query result for a film
+ * The poster is shown as the link preview of the sent message
+ */
+function buildResult(film, storedFilm, compact) {
+  const result = {
+    type: 'article',
+    id: String(film.id),
+    title: film.year ? `${film.title} (${film.year})` : film.title,
+    description: describeResult(film),
+    input_message_content: {
+      message_text: formatFilmText(film, compact),
+      parse_mode: 'HTML',
+      link_preview_options: film.posterUrl
+        ? { url: film.posterUrl, show_above_text: true }
+        : { is_disabled: true }
+    }
+  };
+
+  if (film.posterUrl) {
+    result.thumbnail_url = film.posterUrl;
+  }
+
+  if (compact) {
+    result.reply_markup = buildFilmKeyboard(storedFilm, film.downloads);
+  }
+
+  return result;
+}
+
+export async function inlineSearchHandler(ctx, database, config) {
+  const offset = parseInt(ctx.inlineQuery.offset, 10) || 0;
+
+  try {
+    const query = parseSearchQuery(ctx.inlineQuery.query);
+    const films = database.getAllFilms();
+    const { results, total } = searchFilms(films, query, { offset, limit: RESULTS_PER_PAGE });
+    const storedFilms = new Map(films.map(film => [film.id, film]));
+
+    const compact = config.telegram.inlineButtons;
+    const nextOffset = offset + results.length < total ? String(offset + results.length) : '';
+
+    await ctx.answerInlineQuery(
+      results.map(film => buildResult(film, storedFilms.get(film.id), compact)),
+      { cache_time: CACHE_TIME_SECONDS, next_offset: nextOffset }
+    );
+
+    logger.debug(`Inline query "${ctx.inlineQuery.query}": ${total} matches, sent ${results.length} from ${offset}`);
+  } catch (error) {
+    logger.error('Error in inline query:', error.message);
+    await ctx.answerInlineQuery([], { cache_time: 0 }).catch(() => {});
+  }
+}
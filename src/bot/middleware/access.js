@@ -0,0 +1,162 @@
+/**
+ * Command access middleware
+ * Runs before every command handler: rejects commands above the caller's role,
+ * enforces per-user cooldowns on expensive commands and audits who ran what
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import {
+  getUserRole,
+  getRequiredRole,
+  hasRole,
+  needsChatAdmin,
+  isChatAdmin
+} from '../permissions.js';
+import { createLogger } from '../../utils/logger.js';
+
+const logger = createLogger('Access');
+const auditLogger = createLogger('Audit');
+
+/**
+ * Read the command at the start of a new message
+ * Edited messages are ignored, as command handlers don't run for them either
+ * @returns {Object|null} {name, args}, or null if the message isn't a command for this bot
+ */
+function parseCommand(ctx) {
+  const message = ctx.message ?? ctx.channelPost;
+  const text = message?.text;
+  const entity = message?.entities?.[0];
+
+  if (!text || entity?.type !== 'bot_command' || entity.offset !== 0) {
+    return null;
+  }
+
+  // "/latest@OtherBot" in a group is meant for another bot
+  const [name, target] = text.slice(1, entity.length).split('@');
+  if (target && target.toLowerCase() !== ctx.me.username.toLowerCase()) {
+    return null;
+  }
+
+  return { name, args: text.slice(entity.length).trim() };
+}
+
+/**
+ * Format a cooldown as "4m 12s"
+ */
+function formatWait(seconds) {
+  const minutes = Math.floor(seconds / 60);
+  const rest = seconds % 60;
+  if (minutes === 0) return `${rest}s`;
+  return rest > 0 ? `${minutes}m ${rest}s` : `${minutes}m`;
+}
+
+/**
+ * Polite rejection for a command above the caller's role
+ */
+function formatDenial(command, requiredRole) {
+  if (requiredRole === 'admin') {
+    return `⛔ Sorry, /${command} is only available to bot admins.`;
+  }
+
+  return `⛔ Sorry, /${command} is only available to approved subscribers.`;
+}
+
+/**
+ * Log who ran a command, and append it to the audit file if one is configured
+ * @param {string} outcome - 'allowed', 'denied', 'not_chat_admin' or 'cooldown'
+ */
+async function audit(ctx, command, role, outcome, auditLogPath) {
+  const user = ctx.from;
+  const who = user
+    ? `${user.username ? `@${user.username}` : user.first_name} (${user.id})`
+    : `${ctx.chat.title || 'chat'} (${ctx.chat.id})`;
+  const args = command.args ? ` ${command.args}` : '';
+
+  auditLogger.info(`${who} in chat ${ctx.chat.id} ran /${command.name}${args} as ${role}: ${outcome}`);
+
+  if (!auditLogPath) return;
+
+  const entry = {
+    time: new Date().toISOString(),
+    userId: user ? String(user.id) : null,
+    username: user?.username || null,
+    chatId: String(ctx.chat.id),
+    chatType: ctx.chat.type,
+    command: command.name,
+    args: command.args,
+    role,
+    outcome
+  };
+
+  try {
+    await fs.mkdir(path.dirname(auditLogPath), { recursive: true });
+    await fs.appendFile(auditLogPath, JSON.stringify(entry) + '\n');
+  } catch (error) {
+    logger.warn('Failed to write audit log:', error.message);
+  }
+}
+
+/**
+ * Create the access middleware
+ * Cooldowns are kept in memory per user and command until they run out; admins are exempt
+ */
+export function createAccessMiddleware(config) {
+  const { commandCooldowns, auditLogPath } = config.telegram;
+  const cooldownEnds = new Map(); // "user:command" -> time its cooldown ends
+
+  // Forget cooldowns that ran out, so the map only holds users waiting right now
+  const pruneCooldowns = (now) => {
+    for (const [key, endsAt] of cooldownEnds) {
+      if (endsAt <= now) cooldownEnds.delete(key);
+    }
+  };
+
+  return async (ctx, next) => {
+    const command = parseCommand(ctx);
+    if (!command) {
+      return next();
+    }
+
+    const role = getUserRole(ctx, config);
+    const requiredRole = getRequiredRole(command.name);
+
+    if (!hasRole(role, requiredRole)) {
+      await audit(ctx, command, role, 'denied', auditLogPath);
+      await ctx.reply(formatDenial(command.name, requiredRole), { parse_mode: 'HTML' });
+      return;
+    }
+
+    // Bot admins may change any chat's delivery
+    if (role !== 'admin' && needsChatAdmin(command.name, ctx.chat) && !(await isChatAdmin(ctx))) {
+      await audit(ctx, command, role, 'not_chat_admin', auditLogPath);
+      await ctx.reply(`⛔ Sorry, only group admins can use /${command.name} here.`, { parse_mode: 'HTML' });
+      return;
+    }
+
+    const cooldown = commandCooldowns[command.name] || 0;
+    if (cooldown > 0 && role !== 'admin') {
+      const key = `${ctx.from?.id ?? ctx.chat.id}:${command.name}`;
+      const now = Date.now();
+      pruneCooldowns(now);
+
+      if (cooldownEnds.has(key)) {
+        await audit(ctx, command, role, 'cooldown', auditLogPath);
+        await ctx.reply(
+          `⏳ Please wait ${formatWait(Math.ceil((cooldownEnds.get(key) - now) / 1000))} before using /${command.name} again.`,
+          { parse_mode: 'HTML' }
+        );
+        return;
+      }
+
+      cooldownEnds.set(key, now + cooldown * 1000);
+    }
+
+    await audit(ctx, command, role, 'allowed', auditLogPath);
+    return next();
+  };
+}
+
+export default {
+  createAccessMiddleware
+};
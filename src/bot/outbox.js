@@ -0,0 +1,354 @@
+/**
+ * Persistent outbox of film posts and updates
+ * Every pending post (one per film, chat and kind) is stored until Telegram accepts it, so a
+ * rate limit, a network blip or a restart delays a film instead of losing it.
+ * Telegram's retry_after is honored; other temporary errors are retried with backoff.
+ *
+ * Kinds of entries:
+ *   film   - A film post, new or a quality upgrade for a chat that never got the film
+ *   update - New download options of a posted film, announced in reply to (or by editing) its post
+ *   links  - Download links that didn't fit a delivered post and failed to follow it right away
+ */
+
+import { GrammyError, HttpError } from 'grammy';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('Outbox');
+
+// Rate limits up to this many seconds are waited out during a flush; longer ones end it
+const MAX_INLINE_RETRY_AFTER = 60;
+
+/**
+ * Get the kind of an entry; entries stored before updates were queued are film posts
+ */
+function getKind(entry) {
+  return entry.kind || 'film';
+}
+
+/**
+ * Build a new pending post
+ */
+function createEntry(kind, film, chatId) {
+  return {
+    kind,
+    filmId: film.id,
+    chatId,
+    film,
+    attempts: 0,
+    nextAttemptAt: null,
+    lastError: null,
+    createdAt: new Date().toISOString()
+  };
+}
+
+class Outbox {
+  /**
+   * @param {Object} config - App config (uses config.outbox)
+   * @param {Object} database - Storage backend
+   * @param {Function} sendEntry - Sends a pending post; resolves to the sent message
+   *   (true for an edit), or null if the chat no longer wants it
+   */
+  constructor(config, database, sendEntry) {
+    this.config = config;
+    this.database = database;
+    this.sendEntry = sendEntry;
+    this.deliveryHandler = null;
+    this.flushing = Promise.resolve();
+    this.retryTimer = null;
+    this.rateLimitedUntil = 0;
+  }
+
+  /**
+   * Set the function called after each delivered post, with (entry, message)
+   */
+  setDeliveryHandler(handler) {
+    this.deliveryHandler = handler;
+  }
+
+  /**
+   * Check if a film still has posts waiting to be delivered
+   */
+  hasFilm(filmId) {
+    return this.database.getOutbox().some(entry => entry.filmId === filmId && getKind(entry) === 'film');
+  }
+
+  /**
+   * Queue a film for some chats
+   * Chats that already have this film pending keep their entry
+   */
+  async enqueue(film, chatIds) {
+    const pending = new Set(
+      this.database.getOutbox()
+        .filter(entry => entry.filmId === film.id && getKind(entry) === 'film')
+        .map(entry => entry.chatId)
+    );
+
+    for (const chatId of chatIds) {
+      if (pending.has(chatId)) continue;
+
+      await this.database.saveOutboxEntry(createEntry('film', film, chatId));
+    }
+  }
+
+  /**
+   * Queue an update of a posted film for one chat
+   * An update still pending for the same post is merged into this one
+   * @param {Object} film - Stored film record, including the new downloads
+   * @param {Object} post - The film's earlier post in this chat {chatId, messageId, kind}
+   * @param {Array} newDownloads - The newly added download options
+   * @param {string|null} upgradedTier - New quality tier, if the new options raise it
+   */
+  async enqueueUpdate(film, post, newDownloads, upgradedTier = null) {
+    const pending = this.database.getOutbox().find(entry =>
+      entry.filmId === film.id && entry.chatId === post.chatId && getKind(entry) === 'update'
+    );
+
+    await this.database.saveOutboxEntry({
+      // A merged update keeps the attempts and backoff of the pending one
+      ...(pending || createEntry('update', film, post.chatId)),
+      film,
+      post,
+      newDownloads: [...(pending?.newDownloads || []), ...newDownloads],
+      upgradedTier: upgradedTier || pending?.upgradedTier || null
+    });
+  }
+
+  /**
+   * Queue the unsent follow-up links of a delivered post, to reply to it later
+   * Links still pending for the same film and chat get these appended
+   * @param {Object} film - The film the links belong to
+   * @param {string} chatId - Chat of the delivered post
+   * @param {number} replyToMessageId - The delivered post (poster or update reply)
+   * @param {Array} texts - Link messages not sent yet
+   */
+  async enqueueLinks(film, chatId, replyToMessageId, texts) {
+    const pending = this.database.getOutbox().find(entry =>
+      entry.filmId === film.id && entry.chatId === chatId && getKind(entry) === 'links'
+    );
+
+    await this.database.saveOutboxEntry({
+      ...(pending || createEntry('links', film, chatId)),
+      replyToMessageId: pending?.replyToMessageId ?? replyToMessageId,
+      texts: [...(pending?.texts || []), ...texts]
+    });
+  }
+
+  /**
+   * Deliver every post that is due
+   * Flushes never overlap; a flush requested during another one runs right after it
+   * @returns {Object} {deliveries, failedCount, pendingCount}, deliveries being {filmId, chatId, kind}
+   */
+  flush() {
+    const run = this.flushing.then(() => this.deliverDue());
+    this.flushing = run.catch(() => {});
+    return run;
+  }
+
+  async deliverDue() {
+    this.clearRetryTimer();
+
+    const deliveries = [];
+    let failedCount = 0;
+
+    for (const entry of this.database.getOutbox()) {
+      if (Date.now() < this.rateLimitedUntil) {
+        break;
+      }
+
+      if (entry.nextAttemptAt && new Date(entry.nextAttemptAt) > new Date()) {
+        continue;
+      }
+
+      const outcome = await this.attempt(entry);
+
+      if (outcome === 'delivered') {
+        deliveries.push({ filmId: entry.filmId, chatId: entry.chatId, kind: getKind(entry) });
+      } else if (outcome === 'failed') {
+        failedCount++;
+      } else if (outcome === 'rate_limited') {
+        // Every other send would hit the same limit
+        break;
+      }
+
+      if (outcome !== 'dropped') {
+        await this.delay(this.config.outbox.sendDelay);
+      }
+    }
+
+    const pendingCount = this.database.getOutbox().length;
+    if (deliveries.length > 0 || failedCount > 0 || pendingCount > 0) {
+      logger.info(`Delivered ${deliveries.length} posts, ${failedCount} failed, ${pendingCount} pending`);
+    }
+
+    this.scheduleRetry();
+    return { deliveries, failedCount, pendingCount };
+  }
+
+  /**
+   * Try to deliver one post
+   * @returns {string} 'delivered', 'dropped', 'failed', 'retrying' or 'rate_limited'
+   */
+  async attempt(entry) {
+    let message;
+
+    for (;;) {
+      try {
+        message = await this.sendEntry(entry);
+        break;
+      } catch (error) {
+        const retryAfter = this.getRetryAfter(error);
+
+        if (retryAfter !== null && retryAfter <= MAX_INLINE_RETRY_AFTER) {
+          logger.warn(`Rate limited, retrying ${entry.film.title} in ${retryAfter}s`);
+          await this.delay(retryAfter * 1000);
+          continue;
+        }
+
+        return this.handleFailure(entry, error, retryAfter);
+      }
+    }
+
+    if (message) {
+      try {
+        await this.deliveryHandler?.(entry, message);
+      } catch (error) {
+        // The post is out; keeping the entry would send it twice
+        logger.error(`Failed to record delivery of ${entry.film.title} to ${entry.chatId}:`, error.message);
+      }
+    } else {
+      logger.debug(`Film ${entry.film.title} is no longer wanted in ${entry.chatId}`);
+    }
+
+    await this.remove(entry);
+    return message ? 'delivered' : 'dropped';
+  }
+
+  /**
+   * Decide what happens to a post after a failed send
+   */
+  async handleFailure(entry, error, retryAfter) {
+    const now = Date.now();
+
+    if (retryAfter !== null) {
+      logger.warn(`Rate limited for ${retryAfter}s, postponing the remaining posts`);
+      this.rateLimitedUntil = now + retryAfter * 1000;
+      return 'rate_limited';
+    }
+
+    if (!this.isTemporaryError(error)) {
+      logger.error(`Failed to send film ${entry.film.title} to ${entry.chatId}:`, error.message);
+
+      // The bot was blocked or removed from the chat
+      if (error instanceof GrammyError && error.error_code === 403) {
+        await this.database.removeSubscriber(entry.chatId, 'blocked');
+      }
+
+      await this.remove(entry);
+      return 'failed';
+    }
+
+    const attempts = entry.attempts + 1;
+    const { maxAttempts, retryDelay, maxRetryDelay } = this.config.outbox;
+
+    if (attempts >= maxAttempts) {
+      logger.error(`Giving up on film ${entry.film.title} for ${entry.chatId} after ${attempts} attempts:`, error.message);
+      await this.remove(entry);
+      return 'failed';
+    }
+
+    const backoff = Math.min(retryDelay * 2 ** (attempts - 1), maxRetryDelay);
+    logger.warn(
+      `Failed to send film ${entry.film.title} to ${entry.chatId} (attempt ${attempts}), ` +
+      `retrying in ${Math.round(backoff / 1000)}s:`, error.message
+    );
+
+    await this.database.saveOutboxEntry({
+      ...entry,
+      attempts,
+      nextAttemptAt: new Date(now + backoff).toISOString(),
+      lastError: error.message
+    });
+    return 'retrying';
+  }
+
+  /**
+   * Remove a delivered or abandoned entry
+   */
+  remove(entry) {
+    return this.database.removeOutboxEntry(entry.filmId, entry.chatId, getKind(entry));
+  }
+
+  /**
+   * Get the seconds Telegram asks to wait after a 429, or null for other errors
+   */
+  getRetryAfter(error) {
+    if (error instanceof GrammyError && error.error_code === 429) {
+      return error.parameters?.retry_after ?? MAX_INLINE_RETRY_AFTER;
+    }
+    return null;
+  }
+
+  /**
+   * Check if a failed send is worth retrying
+   * Network errors and Telegram server errors are; rejected requests (4xx) are not
+   */
+  isTemporaryError(error) {
+    if (error instanceof GrammyError) {
+      return error.error_code >= 500;
+    }
+    return error instanceof HttpError;
+  }
+
+  /**
+   * Flush again when the earliest postponed post is due
+   */
+  scheduleRetry() {
+    const times = this.database.getOutbox()
+      .map(entry => entry.nextAttemptAt ? new Date(entry.nextAttemptAt).getTime() : Date.now());
+
+    if (times.length === 0) {
+      return;
+    }
+
+    const wait = Math.max(Math.min(...times), this.rateLimitedUntil) - Date.now();
+    this.retryTimer = setTimeout(() => {
+      this.retryTimer = null;
+      this.flush().catch(error => logger.error('Outbox flush failed:', error.message));
+    }, Math.max(wait, 1000));
+    this.retryTimer.unref();
+  }
+
+  clearRetryTimer() {
+    if (this.retryTimer) {
+      clearTimeout(this.retryTimer);
+      this.retryTimer = null;
+    }
+  }
+
+  /**
+   * Stop the retry timer; pending posts stay stored for the next start
+   */
+  stop() {
+    this.clearRetryTimer();
+  }
+
+  /**
+   * Pending post counts, shown by /status
+   */
+  getStatus() {
+    const entries = this.database.getOutbox();
+    return {
+      pending: entries.length,
+      retrying: entries.filter(entry => entry.attempts > 0).length
+    };
+  }
+
+  /**
+   * Delay helper
+   */
+  delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
+
+export default Outbox;
@@ -0,0 +1,122 @@
+/**
+ * Command permission helpers
+ *
+ * Roles, lowest to highest:
+ *   guest      - Anyone who finds the bot
+ *   subscriber - Users listed in SUBSCRIBER_IDS, or anyone in a chat the operator configured
+ *                (TELEGRAM_CHAT_ID or a section's chat). Running /subscribe doesn't grant it,
+ *                since anyone can do that.
+ *   admin      - User IDs listed in ADMIN_IDS
+ */
+
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('Permissions');
+
+export const ROLES = ['guest', 'subscriber', 'admin'];
+
+// Minimum role per command; commands not listed are open to guests
+const COMMAND_ROLES = {
+  latest: 'subscriber',
+  backfill: 'admin',
+  status: 'admin',
+  pause: 'admin',
+  resume: 'admin',
+  setschedule: 'admin',
+  forget: 'admin',
+  config: 'admin'
+};
+
+// Commands that change delivery for a whole chat; in groups only its admins may run them
+const CHAT_ADMIN_COMMANDS = ['subscribe', 'unsubscribe', 'filters'];
+
+/**
+ * Check if a Telegram user is a configured admin
+ */
+export function isAdmin(userId, config) {
+  if (!userId) return false;
+  return config.telegram.adminIds.includes(String(userId));
+}
+
+/**
+ * Check if an update comes from a user or chat the operator trusts with subscriber commands
+ */
+function isTrustedSubscriber(ctx, config) {
+  if (ctx.from && config.telegram.subscriberIds.includes(String(ctx.from.id))) {
+    return true;
+  }
+
+  const configuredChats = [config.telegram.chatId, ...config.scraper.sources.map(source => source.chatId)]
+    .filter(Boolean)
+    .map(String);
+  return Boolean(ctx.chat) && configuredChats.includes(String(ctx.chat.id));
+}
+
+/**
+ * Get the role of the user (or channel) behind an update
+ */
+export function getUserRole(ctx, config) {
+  if (isAdmin(ctx.from?.id, config)) {
+    return 'admin';
+  }
+
+  if (isTrustedSubscriber(ctx, config)) {
+    return 'subscriber';
+  }
+
+  return 'guest';
+}
+
+/**
+ * Get the minimum role needed to run a command
+ */
+export function getRequiredRole(command) {
+  return COMMAND_ROLES[command] || 'guest';
+}
+
+/**
+ * Check if a role is at least the required one
+ */
+export function hasRole(role, requiredRole) {
+  return ROLES.indexOf(role) >= ROLES.indexOf(requiredRole);
+}
+
+/**
+ * Check if a command in this chat is limited to the chat's administrators
+ * Private chats belong to their user, and only admins can post in channels
+ */
+export function needsChatAdmin(command, chat) {
+  return CHAT_ADMIN_COMMANDS.includes(command) && (chat.type === 'group' || chat.type === 'supergroup');
+}
+
+/**
+ * Check if the sender of an update is an administrator of its group
+ */
+export async function isChatAdmin(ctx) {
+  // Anonymous group admins post as the group itself
+  if (ctx.msg?.sender_chat?.id === ctx.chat.id) {
+    return true;
+  }
+
+  if (!ctx.from) {
+    return false;
+  }
+
+  try {
+    const member = await ctx.getChatMember(ctx.from.id);
+    return member.status === 'creator' || member.status === 'administrator';
+  } catch (error) {
+    logger.warn(`Failed to look up user ${ctx.from.id} in chat ${ctx.chat.id}:`, error.message);
+    return false;
+  }
+}
+
+export default {
+  ROLES,
+  isAdmin,
+  getUserRole,
+  getRequiredRole,
+  hasRole,
+  needsChatAdmin,
+  isChatAdmin
+};
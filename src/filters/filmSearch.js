@@ -0,0 +1,141 @@
+/**
+ * Film catalog search
+ * Searches the films the bot has already scraped, e.g. for inline queries like "kanguva 1080p"
+ */
+
+import { normalizeLanguage, normalizeResolution } from './subscriberFilters.js';
+
+/**
+ * Split text into lowercase words, keeping non-Latin letters intact
+ */
+function toWords(text) {
+  return (text || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim().split(' ').filter(Boolean);
+}
+
+/**
+ * Parse a "key:value" search filter into the query
+ * @returns {string|null} Error message, or null if the filter was applied
+ */
+function applySearchFilter(query, key, value) {
+  const values = value.split(',').map(v => v.trim()).filter(Boolean);
+
+  if (key === 'year') {
+    if (!/^(?:19|20)\d{2}$/.test(value)) return `Invalid year "${value}"`;
+    query.year = parseInt(value, 10);
+  } else if (key === 'lang' || key === 'language') {
+    const languages = values.map(normalizeLanguage);
+    if (languages.length === 0 || languages.includes(null)) return `Unknown language in "${value}"`;
+    query.languages.push(...languages);
+  } else if (key === 'res' || key === 'quality') {
+    const resolutions = values.map(normalizeResolution);
+    if (resolutions.length === 0 || resolutions.includes(null)) return `Unknown resolution in "${value}"`;
+    query.resolutions.push(...resolutions);
+  } else {
+    return `Unknown filter "${key}" (use year, lang or res)`;
+  }
+
+  return null;
+}
+
+/**
+ * Parse a search query
+ * Resolutions ("1080p", "4k") and language names ("tamil") narrow the results instead of
+ * matching the title; a year matches either the release year or a title like "2018".
+ * The same filters can be written explicitly: "vijay year:2024 lang:tamil res:4k,1080p"
+ * @param {string} text - Query text
+ * @returns {Object} {terms, year, languages, resolutions, errors}
+ */
+export function parseSearchQuery(text) {
+  const query = { terms: [], year: null, languages: [], resolutions: [], errors: [] };
+
+  for (const token of (text || '').trim().split(/\s+/).filter(Boolean)) {
+    const filterMatch = token.match(/^([a-z]+):(.*)$/i);
+    if (filterMatch) {
+      const error = applySearchFilter(query, filterMatch[1].toLowerCase(), filterMatch[2]);
+      if (error) query.errors.push(error);
+      continue;
+    }
+
+    const resolution = /^\d+$/.test(token) ? null : normalizeResolution(token);
+    const language = normalizeLanguage(token);
+
+    if (resolution) {
+      query.resolutions.push(resolution);
+    } else if (language) {
+      query.languages.push(language);
+    } else if (/^(?:19|20)\d{2}$/.test(token)) {
+      query.year = parseInt(token, 10);
+    } else {
+      query.terms.push(...toWords(token));
+    }
+  }
+
+  return query;
+}
+
+/**
+ * Check if every search term starts a word of the film's title
+ * Prefixes are enough, so results show up while the title is still being typed
+ */
+function matchesTerms(film, terms) {
+  const words = toWords(`${film.title || ''} ${film.listingTitle || ''}`);
+  return terms.every(term => words.some(word => word.startsWith(term)));
+}
+
+/**
+ * Check a film against a parsed query
+ * @returns {Object|null} Film with only the download options of the wanted resolutions
+ */
+function matchFilm(film, query) {
+  if (film.backfilled || !film.downloads || film.downloads.length === 0) {
+    return null;
+  }
+
+  const terms = query.year && film.year !== query.year ? [...query.terms, String(query.year)] : query.terms;
+  if (!matchesTerms(film, terms)) {
+    return null;
+  }
+
+  const language = (film.language || '').toLowerCase();
+  if (query.languages.length > 0 && !query.languages.some(lang => language.includes(lang.toLowerCase()))) {
+    return null;
+  }
+
+  if (query.resolutions.length === 0) {
+    return film;
+  }
+
+  const downloads = film.downloads.filter(download => query.resolutions.includes(download.resolution));
+  return downloads.length > 0 ? { ...film, downloads } : null;
+}
+
+/**
+ * Search stored films
+ * Titles matching the query exactly come first, then the most recently seen films
+ * @param {Array} films - Stored film records
+ * @param {Object} query - Parsed query from parseSearchQuery
+ * @param {Object} options - {offset, limit}
+ * @returns {Object} {results, total}
+ */
+export function searchFilms(films, query, { offset = 0, limit = 20 } = {}) {
+  const exactTitle = query.terms.join(' ');
+  const matches = films
+    .map(film => matchFilm(film, query))
+    .filter(Boolean)
+    .map(film => ({
+      film,
+      exact: exactTitle !== '' && toWords(film.title).join(' ') === exactTitle,
+      seenAt: new Date(film.seenAt || 0).getTime()
+    }))
+    .sort((a, b) => (b.exact - a.exact) || (b.seenAt - a.seenAt));
+
+  return {
+    results: matches.slice(offset, offset + limit).map(match => match.film),
+    total: matches.length
+  };
+}
+
+export default {
+  parseSearchQuery,
+  searchFilms
+};
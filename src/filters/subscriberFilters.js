@@ -0,0 +1,231 @@
+/**
+ * Per-subscriber film filters
+ * Parses /filters arguments and applies language, quality and size preferences to films
+ */
+
+import { parseFileSizeBytes } from '../scraper/parser.js';
+import { getDownloadQualityTier, isCamTier } from '../scraper/qualityTier.js';
+
+const KNOWN_LANGUAGES = ['Tamil', 'Telugu', 'Malayalam', 'Kannada', 'Hindi', 'English'];
+const KNOWN_RESOLUTIONS = ['4K', '1080p', '720p', '480p', '360p'];
+
+/**
+ * Create an empty filter set (matches everything)
+ */
+export function createEmptyFilters() {
+  return {
+    languages: [],
+    resolutions: [],
+    maxSize: null,
+    sections: [],
+    skipCam: false
+  };
+}
+
+/**
+ * Fill in fields missing from filters stored by older versions
+ */
+function normalizeFilters(filters) {
+  return { ...createEmptyFilters(), ...filters };
+}
+
+/**
+ * Check if a filter set has any active restriction
+ */
+export function hasActiveFilters(filters) {
+  if (!filters) return false;
+
+  const normalized = normalizeFilters(filters);
+  return normalized.languages.length > 0 ||
+    normalized.resolutions.length > 0 ||
+    normalized.maxSize !== null ||
+    normalized.sections.length > 0 ||
+    normalized.skipCam;
+}
+
+/**
+ * Normalize a language name to its canonical form
+ */
+export function normalizeLanguage(value) {
+  return KNOWN_LANGUAGES.find(lang => lang.toLowerCase() === value.toLowerCase()) || null;
+}
+
+/**
+ * Normalize a resolution like "2160p", "4k" or "1080" to its canonical form
+ */
+export function normalizeResolution(value) {
+  const lower = value.toLowerCase();
+  if (lower === '4k' || lower === '2160p' || lower === '2160') return '4K';
+
+  const withSuffix = /^\d+$/.test(lower) ? `${lower}p` : lower;
+  return KNOWN_RESOLUTIONS.find(res => res.toLowerCase() === withSuffix) || null;
+}
+
+/**
+ * Parse /filters command arguments
+ * Example: "lang:tamil,malayalam res:1080p,4k max:5GB section:tamil cam:off"
+ * Use "any" as a value to clear one filter, or "reset" to clear all of them
+ * @param {string} text - Command arguments
+ * @param {Object} current - The subscriber's current filters
+ * @param {Array} knownSections - Names of the configured forum sections
+ * @returns {Object} {filters, errors}
+ */
+export function parseFilterArgs(text, current = createEmptyFilters(), knownSections = []) {
+  const filters = normalizeFilters(current);
+  const errors = [];
+  const tokens = text.trim().split(/\s+/).filter(Boolean);
+
+  for (const token of tokens) {
+    if (['reset', 'clear', 'off'].includes(token.toLowerCase())) {
+      Object.assign(filters, createEmptyFilters());
+      continue;
+    }
+
+    const [rawKey, ...rest] = token.split(':');
+    const key = rawKey.toLowerCase();
+    const value = rest.join(':');
+
+    if (!value) {
+      errors.push(`Missing value for "${rawKey}"`);
+      continue;
+    }
+
+    const isAny = value.toLowerCase() === 'any';
+
+    if (key === 'lang' || key === 'language') {
+      const languages = isAny ? [] : value.split(',').map(v => normalizeLanguage(v.trim()));
+      if (languages.includes(null)) {
+        errors.push(`Unknown language in "${value}" (use ${KNOWN_LANGUAGES.join(', ')})`);
+      } else {
+        filters.languages = [...new Set(languages)];
+      }
+    } else if (key === 'res' || key === 'quality') {
+      const resolutions = isAny ? [] : value.split(',').map(v => normalizeResolution(v.trim()));
+      if (resolutions.includes(null)) {
+        errors.push(`Unknown resolution in "${value}" (use ${KNOWN_RESOLUTIONS.join(', ')})`);
+      } else {
+        filters.resolutions = [...new Set(resolutions)];
+      }
+    } else if (key === 'max' || key === 'size') {
+      const maxSize = isAny ? null : parseFileSizeBytes(value);
+      if (!isAny && maxSize === null) {
+        errors.push(`Invalid size "${value}" (e.g. 5GB or 700MB)`);
+      } else {
+        filters.maxSize = isAny ? null : value.toUpperCase();
+      }
+    } else if (key === 'section') {
+      const sections = isAny ? [] : value.split(',').map(v => v.trim().toLowerCase());
+      const unknown = sections.filter(section => !knownSections.includes(section));
+      if (unknown.length > 0) {
+        errors.push(`Unknown section "${unknown.join(', ')}" (use ${knownSections.join(', ')})`);
+      } else {
+        filters.sections = [...new Set(sections)];
+      }
+    } else if (key === 'cam') {
+      const setting = value.toLowerCase();
+      if (['off', 'hide', 'no'].includes(setting)) {
+        filters.skipCam = true;
+      } else if (['on', 'show', 'yes', 'any'].includes(setting)) {
+        filters.skipCam = false;
+      } else {
+        errors.push(`Invalid value "${value}" for cam (use on or off)`);
+      }
+    } else {
+      errors.push(`Unknown filter "${rawKey}"`);
+    }
+  }
+
+  return { filters, errors };
+}
+
+/**
+ * Check if a film's language matches the language filter
+ */
+function matchesLanguage(film, languages) {
+  if (languages.length === 0) return true;
+
+  const filmLanguage = (film.language || '').toLowerCase();
+  return languages.some(lang => filmLanguage.includes(lang.toLowerCase()));
+}
+
+/**
+ * Check if a download option matches the quality and size filters
+ * Options with an unknown size are kept, since they cannot be ruled out
+ */
+function matchesDownload(download, filters, film) {
+  if (filters.skipCam && isCamTier(getDownloadQualityTier(download, film))) {
+    return false;
+  }
+
+  if (filters.resolutions.length > 0 && !filters.resolutions.includes(download.resolution)) {
+    return false;
+  }
+
+  if (filters.maxSize) {
+    const sizeBytes = parseFileSizeBytes(download.fileSize);
+    if (sizeBytes !== null && sizeBytes > parseFileSizeBytes(filters.maxSize)) {
+      return false;
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Apply a subscriber's filters to a film
+ * @param {Object} film - Complete film object
+ * @param {Object} rawFilters - Subscriber filters
+ * @returns {Object|null} Film with only matching download options, or null if nothing matches
+ */
+export function applyFilters(film, rawFilters) {
+  if (!hasActiveFilters(rawFilters)) {
+    return film;
+  }
+
+  const filters = normalizeFilters(rawFilters);
+
+  // Films stored before sections were tracked match any section
+  if (filters.sections.length > 0 && film.section && !filters.sections.includes(film.section)) {
+    return null;
+  }
+
+  if (!matchesLanguage(film, filters.languages)) {
+    return null;
+  }
+
+  const downloads = (film.downloads || []).filter(download => matchesDownload(download, filters, film));
+  if (downloads.length === 0) {
+    return null;
+  }
+
+  return { ...film, downloads };
+}
+
+/**
+ * Describe a filter set in plain text
+ */
+export function describeFilters(rawFilters) {
+  if (!hasActiveFilters(rawFilters)) {
+    return 'No filters - all films and qualities are sent.';
+  }
+
+  const filters = normalizeFilters(rawFilters);
+  const lines = [];
+  if (filters.sections.length > 0) lines.push(`Sections: ${filters.sections.join(', ')}`);
+  if (filters.languages.length > 0) lines.push(`Languages: ${filters.languages.join(', ')}`);
+  if (filters.resolutions.length > 0) lines.push(`Qualities: ${filters.resolutions.join(', ')}`);
+  if (filters.maxSize) lines.push(`Max size: ${filters.maxSize}`);
+  if (filters.skipCam) lines.push('CAM/PreDVD releases: hidden');
+
+  return lines.join('\n');
+}
+
+export default {
+  createEmptyFilters,
+  normalizeLanguage,
+  normalizeResolution,
+  hasActiveFilters,
+  parseFilterArgs,
+  applyFilters,
+  describeFilters
+};
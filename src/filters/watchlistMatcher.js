@@ -0,0 +1,66 @@
+/**
+ * Watchlist keyword matching
+ * Finds users whose watched keywords appear in a film's title
+ */
+
+import { parseTitle } from '../scraper/parser.js';
+
+/**
+ * Normalize text for keyword matching
+ * Lowercases and turns punctuation into spaces, keeping non-Latin letters intact
+ */
+function normalizeText(text) {
+  return ` ${(text || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim()} `;
+}
+
+/**
+ * Check if a keyword appears as whole words in the given text
+ */
+export function matchesKeyword(text, keyword) {
+  const normalizedKeyword = normalizeText(keyword).trim();
+  if (!normalizedKeyword) return false;
+
+  return normalizeText(text).includes(` ${normalizedKeyword} `);
+}
+
+/**
+ * Get the titles a film should be matched against:
+ * the parsed title and the raw listing title
+ */
+function getMatchTexts(film) {
+  const texts = [film.title];
+
+  if (film.listingTitle) {
+    texts.push(parseTitle(film.listingTitle).title);
+    texts.push(film.listingTitle);
+  }
+
+  return texts.filter(Boolean);
+}
+
+/**
+ * Find watchlist matches for a film
+ * @param {Object} film - Complete film object
+ * @param {Array} entries - Watchlist entries {userId, keyword}
+ * @returns {Map} userId -> array of matched keywords
+ */
+export function findWatchlistMatches(film, entries) {
+  const matches = new Map();
+  const texts = getMatchTexts(film);
+
+  for (const entry of entries) {
+    if (!texts.some(text => matchesKeyword(text, entry.keyword))) continue;
+
+    if (!matches.has(entry.userId)) {
+      matches.set(entry.userId, []);
+    }
+    matches.get(entry.userId).push(entry.keyword);
+  }
+
+  return matches;
+}
+
+export default {
+  matchesKeyword,
+  findWatchlistMatches
+};
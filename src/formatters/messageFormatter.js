@@ -8,6 +8,7 @@ import { createLogger } from '../utils/logger.js';
 const logger = createLogger('MessageFormatter');
 
 const MAX_CAPTION_LENGTH = 1024;
+const MAX_MESSAGE_LENGTH = 4096;
 
 /**
  * Escape HTML special characters for Telegram
@@ -20,6 +21,15 @@ function escapeHtml(text) {
     .replace(/>/g, '&gt;');
 }
 
+/**
+ * Format a short label for a download option, e.g. "1080p WEB-DL - 2.5GB"
+ * Used for the compact caption and the inline keyboard buttons
+ */
+export function formatDownloadLabel(download) {
+  const quality = [download.resolution || 'Unknown', download.release?.source].filter(Boolean).join(' ');
+  return download.fileSize ? `${quality} - ${download.fileSize}` : quality;
+}
+
 /**
  * Format a single download option
  */
@@ -27,7 +37,7 @@ function formatDownloadOption(download) {
   const parts = [];
 
   // Resolution header
-  parts.push(`\n<b>${download.resolution || 'Unknown Quality'}</b>`);
+  parts.push(`<b>${escapeHtml(download.resolution || 'Unknown Quality')}</b>`);
 
   // Technical details
   const techDetails = [];
@@ -41,26 +51,44 @@ function formatDownloadOption(download) {
 
   // Download links
   const links = [];
-  if (download.magnetLink) {
-    links.push(`🧲 <a href="${escapeHtml(download.magnetLink)}">Magnet</a>`);
-  }
   if (download.directLink) {
     links.push(`⬇️ <a href="${escapeHtml(download.directLink)}">Direct</a>`);
   }
+  if (download.torrentUrl) {
+    links.push(`📎 <a href="${escapeHtml(download.torrentUrl)}">.torrent</a>`);
+  }
 
   if (links.length > 0) {
     parts.push(links.join(' | '));
   }
 
+  // Telegram doesn't support magnet: in <a> tags, so it is shown as a copyable code block
+  if (download.magnetLink) {
+    parts.push(`🧲 <code>${escapeHtml(download.magnetLink)}</code>`);
+  }
+
   return parts.join('\n');
 }
 
 /**
- * Format complete film message caption
+ * Format the header of a quality upgrade, e.g. "⬆️ Upgraded: now available in WEB-DL"
+ */
+function formatUpgradeHeader(tier) {
+  return `⬆️ <b>Upgraded:</b> now available in ${escapeHtml(tier)}`;
+}
+
+/**
+ * Format the complete film text, however long it gets
+ * Films re-posted in a better quality than an earlier topic start with an upgrade header.
+ * The compact form only lists the options; their links are behind the inline keyboard.
  */
-export function formatFilmCaption(film) {
+function formatFullCaption(film, compact = false) {
   const parts = [];
 
+  if (film.upgrade) {
+    parts.push(formatUpgradeHeader(film.upgrade.toTier));
+  }
+
   // Title with year and language: "Title (Year) | Language"
   let titleText = film.title ? escapeHtml(film.title) : 'Unknown';
   if (film.year) {
@@ -71,21 +99,33 @@ export function formatFilmCaption(film) {
   }
   parts.push(`<b>${titleText}</b>\n`);
 
+  if (compact) {
+    for (const download of film.downloads || []) {
+      parts.push(`📥 ${escapeHtml(formatDownloadLabel(download))}`);
+    }
+    parts.push('\n👇 Tap a quality for its magnet and direct link');
+    return parts.join('\n');
+  }
+
   // Group downloads by type
   const directDownloads = [];
   const torrentDownloads = [];
 
   if (film.downloads && film.downloads.length > 0) {
     for (const download of film.downloads) {
-      if (download.directLink && download.fileSize) {
+      // Fall back to the resolution so options without a known size are still listed
+      const size = download.fileSize || download.resolution || 'Unknown';
+
+      if (download.directLink) {
         directDownloads.push({
-          size: download.fileSize,
+          size,
           link: download.directLink
         });
       }
-      if (download.magnetLink && download.fileSize) {
+      if (download.magnetLink) {
         torrentDownloads.push({
-          size: download.fileSize,
+          size,
+          torrentUrl: download.torrentUrl || null,
           link: download.magnetLink
         });
       }
@@ -107,14 +147,24 @@ export function formatFilmCaption(film) {
     parts.push('<b>TORRENT:</b>');
     for (const dl of torrentDownloads) {
       // Magnet links: show as copyable code block (Telegram doesn't support magnet: in <a> tags)
-      parts.push(`${dl.size} - 🧲\n<code>${dl.link}</code>`);
+      const torrentFile = dl.torrentUrl ? ` | <a href="${escapeHtml(dl.torrentUrl)}">.torrent</a>` : '';
+      parts.push(`${dl.size} - 🧲${torrentFile}\n<code>${escapeHtml(dl.link)}</code>`);
     }
   }
 
-  const caption = parts.join('\n');
+  return parts.join('\n');
+}
+
+/**
+ * Format complete film message caption
+ * Falls back to a short caption without links if the full one is too long
+ * @param {boolean} compact - Leave out the links, which are sent as inline buttons
+ */
+export function formatFilmCaption(film, compact = false) {
+  const caption = formatFullCaption(film, compact);
 
   // Check if caption exceeds Telegram's limit
-  if (caption.length > MAX_CAPTION_LENGTH) {
+  if (needsSplit(caption)) {
     logger.warn(`Caption too long (${caption.length} chars), truncating...`);
     return truncateCaption(film);
   }
@@ -122,12 +172,55 @@ export function formatFilmCaption(film) {
   return caption;
 }
 
+/**
+ * Format a film as a caption plus follow-up messages
+ * If the full text doesn't fit, the caption only keeps the title and qualities,
+ * and every download link goes into follow-up messages of up to 4096 characters.
+ * @param {Object} film - Complete film object
+ * @param {boolean} isPhoto - The first message is a photo caption (1024 characters) rather than text
+ * @param {boolean} compact - Leave out the links, which are sent as inline buttons
+ * @returns {Object} {caption, followUps}
+ */
+export function formatFilmMessages(film, isPhoto = true, compact = false) {
+  const caption = formatFullCaption(film, compact);
+
+  if (!needsSplit(caption, isPhoto ? MAX_CAPTION_LENGTH : MAX_MESSAGE_LENGTH)) {
+    return { caption, followUps: [] };
+  }
+
+  // The buttons already carry every link
+  if (compact) {
+    return { caption: truncateCaption(film), followUps: [] };
+  }
+
+  logger.info(`Caption too long (${caption.length} chars), sending download links separately`);
+  return {
+    caption: truncateCaption(film, true),
+    followUps: formatDownloadLinks(film)
+  };
+}
+
+/**
+ * Format a film as a single text message, e.g. for inline query results
+ * Falls back to the short caption with a topic link if the links don't fit
+ * @param {boolean} compact - Leave out the links, which are sent as inline buttons
+ */
+export function formatFilmText(film, compact = false) {
+  const text = formatFullCaption(film, compact);
+  return needsSplit(text, MAX_MESSAGE_LENGTH) ? truncateCaption(film) : text;
+}
+
 /**
  * Create a truncated caption if the full one is too long
+ * @param {boolean} linksBelow - Download links follow in separate messages
  */
-function truncateCaption(film) {
+function truncateCaption(film, linksBelow = false) {
   const parts = [];
 
+  if (film.upgrade) {
+    parts.push(formatUpgradeHeader(film.upgrade.toTier));
+  }
+
   // Title and year
   const titleText = film.year
     ? `${escapeHtml(film.title)} (${film.year})`
@@ -141,37 +234,152 @@ function truncateCaption(film) {
 
   // Just list available qualities
   if (film.downloads && film.downloads.length > 0) {
-    const qualities = film.downloads
-      .map(d => d.resolution)
-      .filter(r => r)
+    const qualities = [...new Set(film.downloads.map(d => d.resolution).filter(r => r))]
       .join(', ');
     parts.push(`\n📥 Available: ${qualities}`);
   }
 
   // Link to full details
-  parts.push(`\n🔗 <a href="${escapeHtml(film.detailUrl)}">View Full Details & Downloads</a>`);
+  if (linksBelow) {
+    parts.push('\n⬇️ All download links are in the replies below');
+    parts.push(`🔗 <a href="${escapeHtml(film.detailUrl)}">View Full Details</a>`);
+  } else {
+    parts.push(`\n🔗 <a href="${escapeHtml(film.detailUrl)}">View Full Details & Downloads</a>`);
+  }
 
   return parts.join('\n');
 }
 
 /**
- * Format additional message with download links (if caption was truncated)
+ * Format a highlighted watchlist hit message for a direct message
+ * Uses a text message, so the full film text fits below the header up to 4096 characters
+ */
+export function formatWatchlistHit(film, keywords) {
+  const keywordText = keywords.map(keyword => `<i>${escapeHtml(keyword)}</i>`).join(', ');
+  const header = `🔔 <b>Watchlist hit:</b> ${keywordText}`;
+  const message = `${header}\n\n${formatFullCaption(film)}`;
+
+  return needsSplit(message, MAX_MESSAGE_LENGTH) ? `${header}\n\n${truncateCaption(film)}` : message;
+}
+
+/**
+ * Format an update message announcing download options added to an existing topic
+ * Example header: "🆕 Update: new 4K rip added", or the upgrade header when the
+ * new options raise the film's quality tier. The update is a text reply, so it holds
+ * up to 4096 characters; links that don't fit follow like those of a film post.
+ * @param {string} upgradedTier - New quality tier, if the update is an upgrade
+ * @param {boolean} compact - Leave out the links, which are sent as inline buttons
+ * @returns {Object} {text, followUps}
+ */
+export function formatFilmUpdate(film, newDownloads, upgradedTier = null, compact = false) {
+  const resolutions = [...new Set(newDownloads.map(d => d.resolution || 'Unknown'))];
+  const ripText = newDownloads.length === 1 ? 'rip' : 'rips';
+  const header = upgradedTier
+    ? formatUpgradeHeader(upgradedTier)
+    : `🆕 <b>Update:</b> new ${escapeHtml(resolutions.join(', '))} ${ripText} added`;
+
+  const update = { ...film, upgrade: null, downloads: newDownloads };
+  const text = `${header}\n\n${formatFullCaption(update, compact)}`;
+
+  if (!needsSplit(text, MAX_MESSAGE_LENGTH)) {
+    return { text, followUps: [] };
+  }
+
+  if (compact) {
+    return { text: `${header}\n\n${truncateCaption(update)}`, followUps: [] };
+  }
+
+  logger.info(`Update too long (${text.length} chars), sending download links separately`);
+  return {
+    text: `${header}\n\n${truncateCaption(update, true)}`,
+    followUps: formatDownloadLinks(update)
+  };
+}
+
+/**
+ * Format the links of one download option, sent when its inline button is pressed
+ */
+export function formatDownloadMessage(film, download) {
+  const titleText = film.year ? `${escapeHtml(film.title)} (${film.year})` : escapeHtml(film.title);
+
+  return `🎬 <b>${titleText}</b>
+
+${formatDownloadOption(download)}`;
+}
+
+/**
+ * Format the admin notification sent when the site moves to another domain
+ */
+export function formatDomainSwitch(fromOrigin, toOrigin, reason) {
+  return `🔀 <b>Site domain changed</b>
+
+From: ${escapeHtml(fromOrigin)}
+To: ${escapeHtml(toOrigin)}
+Reason: ${escapeHtml(reason)}`;
+}
+
+/**
+ * Format a download option in at most `limit` characters
+ * Trackers make a magnet long; they are dropped from the end until the option fits,
+ * and as a last resort only the infohash is kept, which clients resolve through DHT
+ */
+function formatDownloadOptionWithin(download, limit) {
+  let option = formatDownloadOption(download);
+  if (!needsSplit(option, limit) || !download.magnetLink) {
+    return option;
+  }
+
+  const params = download.magnetLink.replace(/^magnet:\?/, '').split('&');
+  while (needsSplit(option, limit) && params.some(param => param.startsWith('tr='))) {
+    params.splice(params.findLastIndex(param => param.startsWith('tr=')), 1);
+    option = formatDownloadOption({ ...download, magnetLink: `magnet:?${params.join('&')}` });
+  }
+
+  if (needsSplit(option, limit)) {
+    const exactTopic = params.find(param => param.startsWith('xt=')) || '';
+    option = formatDownloadOption({ ...download, magnetLink: `magnet:?${exactTopic}` });
+  }
+
+  logger.warn(`Shortened the magnet of a ${download.resolution || 'download'} option to fit one message`);
+  return option;
+}
+
+/**
+ * Format additional messages with download links (if caption was truncated)
+ * Messages are split between download options, so no link or HTML tag is cut in half.
+ * Each message starts with the header and holds at least one option.
+ * @returns {Array} Message texts of up to 4096 characters each
  */
 export function formatDownloadLinks(film) {
-  const parts = ['<b>Download Links:</b>\n'];
+  const header = '<b>Download Links:</b>';
+  const separator = '\n\n';
+  const messages = [];
+  let options = [];
+
+  for (const download of film.downloads || []) {
+    const option = formatDownloadOptionWithin(download, MAX_MESSAGE_LENGTH - header.length - separator.length);
+    const next = [header, ...options, option].join(separator);
+
+    if (options.length > 0 && needsSplit(next, MAX_MESSAGE_LENGTH)) {
+      messages.push([header, ...options].join(separator));
+      options = [];
+    }
+    options.push(option);
+  }
 
-  for (const download of film.downloads) {
-    parts.push(formatDownloadOption(download));
+  if (options.length > 0) {
+    messages.push([header, ...options].join(separator));
   }
 
-  return parts.join('\n');
+  return messages;
 }
 
 /**
- * Check if caption needs to be split
+ * Check if a caption or message needs to be split
+ * @param {number} limit - 1024 for photo captions, 4096 for text messages
  */
-export function needsSplit(caption) {
-  return caption.length > MAX_CAPTION_LENGTH;
+export function needsSplit(caption, limit = MAX_CAPTION_LENGTH) {
+  return caption.length > limit;
 }
 
 /**
@@ -204,7 +412,14 @@ export function formatInfoMessage(message) {
 
 export default {
   formatFilmCaption,
+  formatFilmMessages,
+  formatFilmText,
   formatDownloadLinks,
+  formatWatchlistHit,
+  formatFilmUpdate,
+  formatDownloadLabel,
+  formatDownloadMessage,
+  formatDomainSwitch,
   needsSplit,
   formatTextMessage,
   formatErrorMessage,
@@ -6,22 +6,38 @@
 import express from 'express';
 import config from '../config/config.js';
 import logger from './utils/logger.js';
-import Database from './storage/database.js';
+import createDatabase from './storage/database.js';
 import FilmTracker from './storage/filmTracker.js';
 import ListingScraper from './scraper/listingScraper.js';
 import DetailScraper from './scraper/detailScraper.js';
+import MirrorManager from './scraper/mirrorManager.js';
+import { getFilmQualityTier, isTierUpgrade } from './scraper/qualityTier.js';
 import TelegramBot from './bot/bot.js';
+import Outbox from './bot/outbox.js';
 import Scheduler from './scheduler/scheduler.js';
+import RunCoordinator from './scheduler/runCoordinator.js';
 import browserManager from './scraper/browser.js';
+import { formatDomainSwitch } from './formatters/messageFormatter.js';
 
 // Global instances
 let database;
 let filmTracker;
+let mirrorManager;
 let listingScraper;
 let detailScraper;
 let telegramBot;
+let outbox;
 let scheduler;
 
+// Result of the most recent check, shown by /status
+let lastRun = null;
+
+// Meta key of the topics watchlist alerts were already sent for
+const WATCHLIST_ALERTED_KEY = 'watchlist_alerted';
+
+// Only one check or backfill runs at a time; overlapping checks share their result
+const checkCoordinator = new RunCoordinator('check');
+
 /**
  * Initialize all components
  */
@@ -30,25 +46,51 @@ async function initialize() {
     logger.info('Initializing 1TamilMV Telegram Bot...');
 
     // Initialize database
-    database = new Database(config.storage.dataPath);
+    database = await createDatabase(config.storage);
     await database.initialize();
 
+    // Subscribe the configured default chat the first time it is seen
+    if (config.telegram.chatId && !database.getSubscriber(config.telegram.chatId)) {
+      await database.addSubscriber({ chatId: config.telegram.chatId, type: 'default' });
+    }
+
     // Initialize film tracker
     filmTracker = new FilmTracker(database);
 
+    // Restore the last working site domain
+    mirrorManager = new MirrorManager(config, database);
+    await mirrorManager.initialize();
+
+    // Relaunch Chrome regularly instead of letting it grow
+    browserManager.setRecycleLimits(config.browser.recyclePages, config.browser.recycleMinutes);
+
     // Initialize scrapers
-    listingScraper = new ListingScraper(config);
+    listingScraper = new ListingScraper(config, mirrorManager);
     detailScraper = new DetailScraper(config);
 
     // Initialize Telegram bot
-    telegramBot = new TelegramBot(config);
+    telegramBot = new TelegramBot(config, database);
     telegramBot.initialize();
 
     // Set up the update checker function
     telegramBot.setUpdateChecker(checkAndSendUpdates);
+    telegramBot.setCheckCoordinator(checkCoordinator);
+    telegramBot.setBackfillRunner(backfill);
+    telegramBot.setStatusProvider(getStatus);
+
+    // Film posts wait in the outbox until Telegram accepts them
+    outbox = new Outbox(config, database, (entry) => telegramBot.sendOutboxEntry(entry));
+    outbox.setDeliveryHandler(recordDelivery);
+    telegramBot.setOutbox(outbox);
+
+    // Tell admins when the site moves to another domain
+    mirrorManager.setSwitchHandler((fromOrigin, toOrigin, reason) =>
+      telegramBot.notifyAdmins(formatDomainSwitch(fromOrigin, toOrigin, reason))
+    );
 
     // Initialize scheduler
-    scheduler = new Scheduler(config);
+    scheduler = new Scheduler(config, database);
+    telegramBot.setScheduler(scheduler);
 
     logger.success('All components initialized successfully');
   } catch (error) {
@@ -59,70 +101,328 @@ async function initialize() {
 
 /**
  * Main function to check for new films and send updates
+ * A call made while a check is running joins that check instead of scraping again
+ * @param {string} trigger - What asked for the check, for logging
  */
-async function checkAndSendUpdates() {
+function checkAndSendUpdates(trigger = 'manual') {
+  return checkCoordinator.run(runCheck, trigger);
+}
+
+/**
+ * Run one film check
+ */
+async function runCheck() {
   const result = {
     success: false,
     newFilmsCount: 0,
+    updatedFilmsCount: 0,
     error: null
   };
+  const startedAt = new Date().toISOString();
 
   try {
     logger.info('Starting film check...');
 
-    // Step 1: Scrape listing page for latest films
-    const latestFilms = await listingScraper.getLatestFilms();
+    result.newFilmsCount = await processNewFilms();
 
-    if (latestFilms.length === 0) {
-      logger.warn('No films found on listing page');
-      result.success = true;
-      return result;
+    if (config.updates.enabled) {
+      result.updatedFilmsCount = await processUpdatedFilms();
     }
 
-    logger.info(`Found ${latestFilms.length} films on listing page`);
+    result.success = true;
+    return result;
+  } catch (error) {
+    logger.error('Error in checkAndSendUpdates:', error.message);
+    result.error = error.message;
+    return result;
+  } finally {
+    lastRun = { ...result, startedAt, finishedAt: new Date().toISOString() };
+  }
+}
+
+/**
+ * Collect the runtime state shown by the /status command
+ */
+function getStatus() {
+  return {
+    scheduler: scheduler.getStatus(),
+    database: database.getStats(),
+    outbox: outbox.getStatus(),
+    browser: browserManager.getHealth(),
+    activeDomain: mirrorManager.currentOrigin,
+    lastRun,
+    currentRun: checkCoordinator.getCurrentRun(),
+    uptime: process.uptime()
+  };
+}
 
-    // Step 2: Filter out already seen films
-    const newFilms = filmTracker.filterNewFilms(latestFilms);
+/**
+ * Check if a topic was already posted, or is still waiting in the outbox
+ */
+function isKnownFilm(filmId) {
+  return filmTracker.hasBeenSeen(filmId) || outbox.hasFilm(filmId);
+}
 
-    if (newFilms.length === 0) {
-      logger.info('No new films found');
-      result.success = true;
-      return result;
-    }
+/**
+ * Record a post the outbox delivered
+ * The first delivery of a film marks it as seen; later ones (other chats, retries,
+ * upgrades for chats that never got the film) are added to its messages.
+ * Updates and follow-up links only reply to or edit messages that are already stored.
+ */
+async function recordDelivery(entry, message) {
+  if (entry.kind === 'update' || entry.kind === 'links') {
+    return;
+  }
+
+  const delivery = {
+    filmId: entry.filmId,
+    chatId: entry.chatId,
+    success: true,
+    messageId: message.message_id,
+    kind: message.photo ? 'photo' : 'text',
+    sentAt: new Date().toISOString()
+  };
+
+  if (filmTracker.hasBeenSeen(entry.filmId)) {
+    const { chatId, messageId, kind, sentAt } = delivery;
+    await database.addFilmMessages(entry.filmId, [{ chatId, messageId, kind, sentAt }]);
+    return;
+  }
+
+  await filmTracker.markAsSeen([entry.film], [delivery]);
+}
+
+/**
+ * Send watchlist alerts for newly scraped films, whether or not any chat receives them
+ * Each topic is alerted once, also if it is scraped again because no chat was subscribed
+ */
+async function sendWatchlistAlerts(films) {
+  const alertedIds = JSON.parse(database.getMeta(WATCHLIST_ALERTED_KEY) || '[]');
+  const alerted = new Set(alertedIds);
+  const unalertedFilms = films.filter(film => !alerted.has(film.id));
+
+  if (unalertedFilms.length === 0) {
+    return;
+  }
+
+  await telegramBot.sendWatchlistAlerts(unalertedFilms);
+
+  const updatedIds = [...alertedIds, ...unalertedFilms.map(film => film.id)].slice(-config.storage.maxTrackedFilms);
+  await database.setMeta(WATCHLIST_ALERTED_KEY, JSON.stringify(updatedIds));
+}
+
+/**
+ * Queue films for every recipient and deliver the outbox
+ * Films are marked as seen as their first post succeeds; films every chat
+ * filtered out are marked as seen right away
+ * @returns {Object} {sentCount, pendingCount}: films delivered by this flush
+ *   (including ones left over from earlier runs) and posts still waiting
+ */
+async function sendFilms(films) {
+  const { skippedFilms } = await telegramBot.queueFilms(films);
+
+  if (skippedFilms.length > 0) {
+    await filmTracker.markAsSeen(skippedFilms);
+  }
+
+  const { deliveries, pendingCount } = await outbox.flush();
+  const sentCount = new Set(
+    deliveries.filter(delivery => delivery.kind === 'film').map(delivery => delivery.filmId)
+  ).size;
+
+  return { sentCount, pendingCount };
+}
+
+/**
+ * Scrape, send and store films that have not been seen before
+ * @returns {number} Number of films sent
+ */
+async function processNewFilms() {
+  // Step 1: Scrape listing pages of every section for latest films,
+  // following pagination until a page ends in a known topic
+  const latestFilms = await listingScraper.getLatestFilms({
+    isKnown: isKnownFilm
+  });
+
+  if (latestFilms.length === 0) {
+    logger.warn('No films found on listing pages');
+    return 0;
+  }
+
+  logger.info(`Found ${latestFilms.length} films across ${config.scraper.sources.length} sections`);
 
-    logger.info(`Found ${newFilms.length} new films to scrape`);
+  // Step 2: Filter out already seen films and films still waiting in the outbox
+  const newFilms = filmTracker.filterNewFilms(latestFilms).filter(film => !outbox.hasFilm(film.id));
 
-    // Step 3: Scrape detail pages for new films
-    const filmsWithDetails = await detailScraper.scrapeMultipleFilms(newFilms);
+  if (newFilms.length === 0) {
+    logger.info('No new films found');
+    return 0;
+  }
+
+  logger.info(`Found ${newFilms.length} new films to scrape`);
+
+  // Step 3: Scrape detail pages for new films
+  const filmsWithDetails = await detailScraper.scrapeMultipleFilms(newFilms);
+
+  if (filmsWithDetails.length === 0) {
+    logger.warn('No films with valid details found');
+    return 0;
+  }
+
+  logger.info(`Successfully scraped ${filmsWithDetails.length} films`);
+
+  // Step 4: Alert users watching these titles, including films no chat will receive
+  await sendWatchlistAlerts(filmsWithDetails);
+
+  // Step 5: Drop torrents already posted in other topics; cross-posts are only marked as seen
+  const { uniqueFilms, duplicateFilms } = filmTracker.removeDuplicateDownloads(filmsWithDetails);
+
+  if (duplicateFilms.length > 0) {
+    await filmTracker.markAsSeen(duplicateFilms);
+  }
+
+  // Step 6: Link re-posts in a better quality (e.g. WEB-DL after PreDVD) to the earlier topic
+  for (const film of uniqueFilms) {
+    film.upgrade = filmTracker.findUpgradedRelease(film);
+  }
+
+  // Step 7: Send films to Telegram through the outbox; each film is marked as seen
+  // once its first post succeeds
+  const { sentCount, pendingCount } = await sendFilms(uniqueFilms);
+
+  // Step 8: Cleanup old entries
+  await database.cleanup(config.storage.maxTrackedFilms);
+
+  logger.success(`Update complete: ${sentCount} films sent, ${pendingCount} posts pending`);
 
-    if (filmsWithDetails.length === 0) {
-      logger.warn('No films with valid details found');
-      result.success = true;
-      return result;
+  return sentCount;
+}
+
+/**
+ * Re-scrape recently seen topics and announce download options added since they were posted
+ * @returns {number} Number of films with new download options
+ */
+async function processUpdatedFilms() {
+  const filmsToRecheck = filmTracker.getFilmsToRecheck(
+    config.updates.recheckCount,
+    config.updates.maxAgeHours
+  );
+
+  if (filmsToRecheck.length === 0) {
+    return 0;
+  }
+
+  logger.info(`Re-checking ${filmsToRecheck.length} recently seen topics for new downloads`);
+
+  let updatedCount = 0;
+
+  for (const storedFilm of filmsToRecheck) {
+    const freshFilm = await detailScraper.scrapeFilmDetail({
+      id: storedFilm.id,
+      detailUrl: storedFilm.detailUrl,
+      title: storedFilm.listingTitle || storedFilm.title,
+      section: storedFilm.section
+    });
+
+    if (!freshFilm) {
+      await filmTracker.markAsRechecked(storedFilm.id);
+      continue;
     }
 
-    logger.info(`Successfully scraped ${filmsWithDetails.length} films`);
+    const newDownloads = filmTracker.findNewDownloads(storedFilm, freshFilm);
 
-    // Step 4: Send films to Telegram
-    const { sentCount, failedCount } = await telegramBot.sendFilms(filmsWithDetails);
+    if (newDownloads.length > 0) {
+      logger.info(`Found ${newDownloads.length} new download options for ${storedFilm.title}`);
 
-    // Step 5: Mark successfully sent films as seen
-    if (sentCount > 0) {
-      const sentFilms = filmsWithDetails.slice(0, sentCount);
-      await filmTracker.markAsSeen(sentFilms);
+      // The stored record may be updated in place, so keep the tier it was posted with
+      const previousTier = storedFilm.qualityTier || getFilmQualityTier(storedFilm);
+      const updatedFilm = await filmTracker.recordNewDownloads(storedFilm, freshFilm, newDownloads);
+      const upgradedTier = isTierUpgrade(updatedFilm.qualityTier, previousTier) ? updatedFilm.qualityTier : null;
 
-      // Cleanup old entries
-      await database.cleanup(config.storage.maxTrackedFilms);
+      await telegramBot.queueFilmUpdate(updatedFilm, newDownloads, upgradedTier);
+      updatedCount++;
+    } else {
+      await filmTracker.markAsRechecked(storedFilm.id);
     }
+  }
 
-    result.success = true;
-    result.newFilmsCount = sentCount;
+  if (updatedCount > 0) {
+    // Updates go through the outbox like film posts, so rate limits and restarts don't lose them
+    await outbox.flush();
+    logger.success(`Announced new download options for ${updatedCount} films`);
+  }
+
+  return updatedCount;
+}
 
-    logger.success(`Update complete: ${sentCount} films sent, ${failedCount} failed`);
+/**
+ * Import older topics from the listing pages
+ * Runs through the check coordinator, so a check never posts a film the backfill is posting too
+ * @param {number} pages - Number of listing pages to read per section
+ * @param {boolean} post - Post the films instead of only marking them seen
+ */
+function backfill(pages, post = false) {
+  return checkCoordinator.run(() => runBackfill(pages, post), '/backfill', 'backfill');
+}
+
+/**
+ * Run one backfill
+ * Without posting, unseen topics are only marked as seen (no detail scraping).
+ * With posting, they are scraped and sent in throttled batches.
+ * @returns {Object} {success, foundCount, importedCount, postedCount, error}
+ */
+async function runBackfill(pages, post) {
+  const result = {
+    success: false,
+    foundCount: 0,
+    importedCount: 0,
+    postedCount: 0,
+    error: null
+  };
+
+  try {
+    logger.info(`Starting backfill of ${pages} pages (${post ? 'post' : 'mark seen'})...`);
+
+    const listedFilms = await listingScraper.getLatestFilms({ maxPages: pages });
+    const unseenFilms = filmTracker.filterNewFilms(listedFilms).filter(film => !outbox.hasFilm(film.id));
+    result.foundCount = unseenFilms.length;
+
+    if (!post) {
+      await filmTracker.markAsBackfilled(unseenFilms);
+      result.importedCount = unseenFilms.length;
+    } else {
+      const { batchSize, batchDelay } = config.backfill;
 
+      for (let i = 0; i < unseenFilms.length; i += batchSize) {
+        const batch = unseenFilms.slice(i, i + batchSize);
+        const filmsWithDetails = await detailScraper.scrapeMultipleFilms(batch);
+        await sendWatchlistAlerts(filmsWithDetails);
+
+        const { uniqueFilms, duplicateFilms } = filmTracker.removeDuplicateDownloads(filmsWithDetails);
+
+        if (duplicateFilms.length > 0) {
+          await filmTracker.markAsSeen(duplicateFilms);
+        }
+
+        const { sentCount } = await sendFilms(uniqueFilms);
+        result.postedCount += sentCount;
+
+        logger.info(`Backfill progress: ${Math.min(i + batchSize, unseenFilms.length)}/${unseenFilms.length}`);
+
+        // Pause between batches so a large backfill doesn't flood the chats
+        if (i + batchSize < unseenFilms.length) {
+          await new Promise(resolve => setTimeout(resolve, batchDelay));
+        }
+      }
+    }
+
+    await database.cleanup(config.storage.maxTrackedFilms);
+
+    result.success = true;
+    logger.success(`Backfill complete: ${result.foundCount} unseen topics, ${result.importedCount} imported, ${result.postedCount} posted`);
     return result;
   } catch (error) {
-    logger.error('Error in checkAndSendUpdates:', error.message);
+    logger.error('Error in backfill:', error.message);
     result.error = error.message;
     return result;
   }
@@ -151,7 +451,8 @@ async function start() {
         res.status(200).json({
           status: 'ok',
           uptime: process.uptime(),
-          timestamp: new Date().toISOString()
+          timestamp: new Date().toISOString(),
+          browser: browserManager.getHealth()
         });
       });
 
@@ -178,6 +479,9 @@ async function start() {
     // Start the scheduler
     scheduler.start(checkAndSendUpdates);
 
+    // Deliver posts left in the outbox by the previous run
+    outbox.flush().catch(error => logger.error('Outbox flush failed:', error.message));
+
     logger.success('🚀 Bot is running!');
     logger.info('Press Ctrl+C to stop');
 
@@ -204,6 +508,11 @@ async function shutdown() {
       scheduler.stop();
     }
 
+    // Pending posts stay stored for the next start
+    if (outbox) {
+      outbox.stop();
+    }
+
     // Stop bot
     if (telegramBot) {
       await telegramBot.stop();
@@ -219,6 +528,11 @@ async function shutdown() {
     // Close browser
     await browserManager.close();
 
+    // Close storage
+    if (database) {
+      await database.close();
+    }
+
     logger.success('Shutdown complete');
     process.exit(0);
   } catch (error) {
@@ -0,0 +1,149 @@
+/**
+ * Offline replay of saved HTML snapshots
+ * Runs captured topic pages through the detail scraper and message formatter
+ * without touching the live site, to reproduce parser bugs and build a regression corpus
+ *
+ * Usage:
+ *   npm run replay -- [--dir ./debug] [--id 12345 ...] [--json] [--send <chatId>]
+ */
+
+import config from '../config/config.js';
+import DetailScraper from './scraper/detailScraper.js';
+import SnapshotStore from './scraper/snapshotStore.js';
+import { extractListingEntries } from './scraper/htmlExtractor.js';
+import { extractFilmId } from './scraper/parser.js';
+import { formatFilmMessages } from './formatters/messageFormatter.js';
+import { createLogger } from './utils/logger.js';
+
+const logger = createLogger('Replay');
+
+// Listing snapshots may contain relative links; any absolute base resolves them for ID extraction
+const SNAPSHOT_BASE_URL = 'https://snapshot.invalid/';
+
+/**
+ * Parse command line arguments
+ */
+function parseArgs(argv) {
+  const options = {
+    dir: config.scraper.snapshotDir,
+    ids: [],
+    json: false,
+    sendTo: null
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--dir') options.dir = argv[++i];
+    else if (arg === '--id') options.ids.push(argv[++i]);
+    else if (arg === '--json') options.json = true;
+    else if (arg === '--send') options.sendTo = argv[++i];
+    else throw new Error(`Unknown argument: ${arg}`);
+  }
+
+  return options;
+}
+
+/**
+ * Build {id, detailUrl, title, section} entries for every topic with a snapshot
+ * Titles come from the topic's meta file, then from saved listing pages
+ */
+async function collectEntries(snapshots, ids) {
+  const listingTitles = new Map();
+
+  for (const { section, pageNumber } of await snapshots.listListings()) {
+    const html = await snapshots.loadListing(section, pageNumber);
+    const { films } = extractListingEntries(html, SNAPSHOT_BASE_URL, Infinity);
+
+    for (const film of films) {
+      const id = extractFilmId(film.detailUrl);
+      if (id && !listingTitles.has(id)) {
+        listingTitles.set(id, { ...film, section });
+      }
+    }
+  }
+
+  const detailIds = ids.length > 0 ? ids : await snapshots.listDetailIds();
+  const entries = [];
+
+  for (const id of detailIds) {
+    const snapshot = await snapshots.loadDetail(id);
+    if (!snapshot) {
+      logger.warn(`No snapshot for topic ${id}, skipping`);
+      continue;
+    }
+
+    const listing = listingTitles.get(id) || {};
+    entries.push({
+      id,
+      detailUrl: snapshot.meta.detailUrl || listing.detailUrl || null,
+      title: snapshot.meta.listingTitle || listing.title || snapshot.meta.postTitle || `Topic ${id}`,
+      section: snapshot.meta.section || listing.section || null
+    });
+  }
+
+  return entries;
+}
+
+/**
+ * Create a bot for sending replayed films
+ * Loaded lazily so printing doesn't require Telegram credentials
+ */
+async function createSender() {
+  const { default: TelegramBot } = await import('./bot/bot.js');
+
+  const telegramBot = new TelegramBot(config, null);
+  telegramBot.initialize();
+  return telegramBot;
+}
+
+async function replay() {
+  const options = parseArgs(process.argv.slice(2));
+  const snapshots = new SnapshotStore(options.dir);
+  // The live settings (sections and their languages, concurrency) apply, only the pages come from disk
+  const detailScraper = new DetailScraper({
+    ...config,
+    scraper: { ...config.scraper, mode: 'replay', snapshotDir: options.dir }
+  });
+
+  const entries = await collectEntries(snapshots, options.ids);
+  logger.info(`Replaying ${entries.length} snapshots from ${options.dir}`);
+
+  const sender = options.sendTo ? await createSender() : null;
+  let failedCount = 0;
+
+  for (const entry of entries) {
+    const film = await detailScraper.scrapeFilmDetail(entry);
+
+    if (!film) {
+      failedCount++;
+      continue;
+    }
+
+    console.log(`\n===== ${entry.id}: ${film.title} (${film.downloads.length} download options) =====`);
+    if (options.json) {
+      console.log(JSON.stringify(film, null, 2));
+    } else {
+      // Print every message the film would be sent as
+      const { caption, followUps } = formatFilmMessages(film, Boolean(film.posterUrl));
+      console.log([caption, ...followUps].join('\n\n----- reply -----\n\n'));
+    }
+
+    if (sender) {
+      try {
+        await sender.sendFilm(film, options.sendTo);
+        logger.success(`Sent ${film.title} to ${options.sendTo}`);
+      } catch (error) {
+        logger.error(`Failed to send ${film.title}:`, error.message);
+        failedCount++;
+      }
+    }
+  }
+
+  logger.info(`Replay finished: ${entries.length - failedCount} ok, ${failedCount} failed`);
+  process.exit(failedCount > 0 ? 1 : 0);
+}
+
+replay().catch((error) => {
+  logger.error('Replay failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,80 @@
+/**
+ * Single-flight run coordinator
+ * Serializes film checks and backfills: a caller that arrives while a run of
+ * the same kind is in flight (e.g. /latest during a cron tick) joins that run
+ * and gets its result instead of starting a second scrape. A run of another
+ * kind (e.g. a check during a backfill) waits for the current run to finish.
+ */
+
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('RunCoordinator');
+
+class RunCoordinator {
+  /**
+   * @param {string} name - Default kind of run, for logging
+   */
+  constructor(name = 'check') {
+    this.name = name;
+    this.current = null; // {promise, startedAt, trigger, kind}
+  }
+
+  /**
+   * Run a task, or join the run of the same kind already in flight
+   * @param {Function} task - Async function to run
+   * @param {string} trigger - What started the run (e.g. 'schedule', 'command'), for logging
+   * @param {string} kind - Runs of one kind share their result (e.g. 'check', 'backfill')
+   * @returns {Promise} Result of the run
+   */
+  run(task, trigger = 'manual', kind = this.name) {
+    if (this.current?.kind === kind) {
+      logger.info(
+        `${trigger} ${kind} joined the ${this.current.trigger} ${kind} ` +
+        `started ${this.getCurrentRun().elapsedSeconds}s ago`
+      );
+      return this.current.promise;
+    }
+
+    if (this.current) {
+      logger.info(`${trigger} ${kind} waits for the ${this.current.trigger} ${this.current.kind} to finish`);
+      return this.current.promise
+        .catch(() => {})
+        .then(() => this.run(task, trigger, kind));
+    }
+
+    const promise = Promise.resolve()
+      .then(task)
+      .finally(() => {
+        this.current = null;
+      });
+
+    this.current = { promise, startedAt: Date.now(), trigger, kind };
+    return promise;
+  }
+
+  /**
+   * Check if a run is in flight
+   */
+  isRunning() {
+    return this.current !== null;
+  }
+
+  /**
+   * Get the run in flight
+   * @returns {Object|null} {startedAt, elapsedSeconds, trigger, kind}
+   */
+  getCurrentRun() {
+    if (!this.current) {
+      return null;
+    }
+
+    return {
+      startedAt: new Date(this.current.startedAt).toISOString(),
+      elapsedSeconds: Math.round((Date.now() - this.current.startedAt) / 1000),
+      trigger: this.current.trigger,
+      kind: this.current.kind
+    };
+  }
+}
+
+export default RunCoordinator;
@@ -1,5 +1,7 @@
 /**
  * Cron job scheduler for automatic film checking
+ * Admins can pause it and change the schedule at runtime; both are kept in the
+ * database metadata so they survive restarts
  */
 
 import cron from 'node-cron';
@@ -7,14 +9,43 @@ import { createLogger } from '../utils/logger.js';
 
 const logger = createLogger('Scheduler');
 
+const SCHEDULE_META_KEY = 'cron_schedule';
+const PAUSED_META_KEY = 'scheduler_paused';
+
 class Scheduler {
-  constructor(config) {
+  constructor(config, database = null) {
     this.config = config;
+    this.database = database;
     this.task = null;
     this.isRunning = false;
+    this.isPaused = false;
     this.checkAndSendUpdates = null;
   }
 
+  /**
+   * Restore the schedule and pause state set by admins
+   */
+  restoreRuntimeSettings() {
+    if (!this.database) return;
+
+    const savedSchedule = this.database.getMeta(SCHEDULE_META_KEY);
+    if (savedSchedule && cron.validate(savedSchedule)) {
+      this.config.scheduler.cronSchedule = savedSchedule;
+    }
+
+    this.isPaused = this.database.getMeta(PAUSED_META_KEY) === 'true';
+  }
+
+  /**
+   * Create the cron task for the current schedule
+   */
+  createTask() {
+    return cron.schedule(this.config.scheduler.cronSchedule, async () => {
+      logger.info('Scheduled check triggered');
+      await this.runScheduledCheck();
+    }, { scheduled: !this.isPaused });
+  }
+
   /**
    * Start the scheduler
    */
@@ -32,19 +63,21 @@ class Scheduler {
     this.checkAndSendUpdates = checkFunction;
 
     try {
+      this.restoreRuntimeSettings();
+
       // Validate cron expression
       if (!cron.validate(this.config.scheduler.cronSchedule)) {
         throw new Error(`Invalid cron schedule: ${this.config.scheduler.cronSchedule}`);
       }
 
       // Create scheduled task
-      this.task = cron.schedule(this.config.scheduler.cronSchedule, async () => {
-        logger.info('Scheduled check triggered');
-        await this.runScheduledCheck();
-      });
+      this.task = this.createTask();
 
       this.isRunning = true;
-      logger.success(`Scheduler started with schedule: ${this.config.scheduler.cronSchedule}`);
+      logger.success(
+        `Scheduler started with schedule: ${this.config.scheduler.cronSchedule}` +
+        (this.isPaused ? ' (paused)' : '')
+      );
     } catch (error) {
       logger.error('Failed to start scheduler:', error.message);
       throw error;
@@ -59,13 +92,14 @@ class Scheduler {
       const startTime = Date.now();
       logger.info('Running scheduled film check...');
 
-      const result = await this.checkAndSendUpdates();
+      const result = await this.checkAndSendUpdates('scheduled');
 
       const duration = ((Date.now() - startTime) / 1000).toFixed(2);
 
       if (result.success) {
         logger.success(
-          `Scheduled check completed in ${duration}s - Found ${result.newFilmsCount} new films`
+          `Scheduled check completed in ${duration}s - Found ${result.newFilmsCount} new films, ` +
+          `${result.updatedFilmsCount} updated`
         );
       } else {
         logger.error(`Scheduled check failed: ${result.error}`);
@@ -87,6 +121,58 @@ class Scheduler {
     }
   }
 
+  /**
+   * Pause scheduled checks (manual /latest checks still work)
+   * @returns {boolean} False if the scheduler isn't running or already paused
+   */
+  async pause() {
+    if (!this.task || this.isPaused) {
+      return false;
+    }
+
+    this.task.stop();
+    this.isPaused = true;
+    await this.database?.setMeta(PAUSED_META_KEY, 'true');
+    logger.info('Scheduler paused');
+    return true;
+  }
+
+  /**
+   * Resume scheduled checks
+   * @returns {boolean} False if the scheduler isn't running or not paused
+   */
+  async resume() {
+    if (!this.task || !this.isPaused) {
+      return false;
+    }
+
+    this.task.start();
+    this.isPaused = false;
+    await this.database?.setMeta(PAUSED_META_KEY, 'false');
+    logger.info('Scheduler resumed');
+    return true;
+  }
+
+  /**
+   * Replace the cron schedule
+   * Throws if the expression is invalid
+   */
+  async setSchedule(cronSchedule) {
+    if (!cron.validate(cronSchedule)) {
+      throw new Error(`Invalid cron schedule: ${cronSchedule}`);
+    }
+
+    this.config.scheduler.cronSchedule = cronSchedule;
+    await this.database?.setMeta(SCHEDULE_META_KEY, cronSchedule);
+
+    if (this.task) {
+      this.task.stop();
+      this.task = this.createTask();
+    }
+
+    logger.info(`Schedule changed to: ${cronSchedule}`);
+  }
+
   /**
    * Check if scheduler is running
    */
@@ -94,6 +180,7 @@ class Scheduler {
     return {
       enabled: this.config.scheduler.enabled,
       running: this.isRunning,
+      paused: this.isPaused,
       schedule: this.config.scheduler.cronSchedule
     };
   }
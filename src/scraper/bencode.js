@@ -0,0 +1,91 @@
+/**
+ * Bencode decoder
+ * Decodes the serialization format used by .torrent files
+ *
+ * Strings are returned as Buffers, since torrent files mix text and binary data
+ * (the "pieces" field); callers convert the fields they need to text.
+ */
+
+const CHAR_D = 0x64; // 'd'
+const CHAR_E = 0x65; // 'e'
+const CHAR_I = 0x69; // 'i'
+const CHAR_L = 0x6c; // 'l'
+const CHAR_COLON = 0x3a; // ':'
+
+/**
+ * Decode the value starting at an offset
+ * @param {Buffer} buffer - Bencoded data
+ * @param {number} offset - Position of the value
+ * @returns {Object} {value, end} - Decoded value and the position right after it
+ */
+export function decodeAt(buffer, offset = 0) {
+  if (offset >= buffer.length) {
+    throw new Error('Unexpected end of bencoded data');
+  }
+
+  const type = buffer[offset];
+
+  if (type === CHAR_I) {
+    const end = buffer.indexOf(CHAR_E, offset);
+    if (end === -1) throw new Error(`Unterminated integer at ${offset}`);
+
+    const value = Number(buffer.toString('ascii', offset + 1, end));
+    if (!Number.isSafeInteger(value)) throw new Error(`Invalid integer at ${offset}`);
+
+    return { value, end: end + 1 };
+  }
+
+  if (type === CHAR_L) {
+    const list = [];
+    let position = offset + 1;
+
+    while (buffer[position] !== CHAR_E) {
+      const item = decodeAt(buffer, position);
+      list.push(item.value);
+      position = item.end;
+    }
+
+    return { value: list, end: position + 1 };
+  }
+
+  if (type === CHAR_D) {
+    const dict = {};
+    let position = offset + 1;
+
+    while (buffer[position] !== CHAR_E) {
+      const key = decodeAt(buffer, position);
+      if (!Buffer.isBuffer(key.value)) throw new Error(`Dictionary key is not a string at ${position}`);
+
+      const item = decodeAt(buffer, key.end);
+      dict[key.value.toString('utf-8')] = item.value;
+      position = item.end;
+    }
+
+    return { value: dict, end: position + 1 };
+  }
+
+  // String: <length>:<bytes>
+  const colon = buffer.indexOf(CHAR_COLON, offset);
+  const length = colon === -1 ? NaN : Number(buffer.toString('ascii', offset, colon));
+
+  if (!Number.isInteger(length) || length < 0 || colon + 1 + length > buffer.length) {
+    throw new Error(`Invalid string at ${offset}`);
+  }
+
+  return {
+    value: buffer.subarray(colon + 1, colon + 1 + length),
+    end: colon + 1 + length
+  };
+}
+
+/**
+ * Decode a complete bencoded buffer
+ */
+export function decodeBencode(buffer) {
+  return decodeAt(buffer, 0).value;
+}
+
+export default {
+  decodeAt,
+  decodeBencode
+};
@@ -1,6 +1,8 @@
 /**
  * Puppeteer browser manager
- * Handles browser lifecycle and page creation
+ * Handles browser lifecycle, page creation and a pool of reusable pages.
+ * A crashed browser is relaunched on next use, and the browser is recycled
+ * after a number of page loads or minutes to keep Chrome's memory in check.
  */
 
 import puppeteer from 'puppeteer';
@@ -12,10 +14,48 @@ class BrowserManager {
   constructor() {
     this.browser = null;
     this.isInitialized = false;
+
+    // Page pool used by acquirePage/releasePage
+    this.maxPages = 1;
+    this.idlePages = [];
+    this.busyPages = new Set();
+    this.openingPages = 0;
+    this.pageWaiters = [];
+
+    // Recycling limits, 0 disables a limit
+    this.recyclePages = 0;
+    this.recycleMinutes = 0;
+
+    this.launching = null;
+    this.launchedAt = null;
+    this.generation = 0; // Bumped on every launch, so callers can tell the browser changed
+    this.openPages = new Set();
+    this.pageLoads = 0; // Pages created or reused since the last launch
+
+    // Reported by /health
+    this.crashCount = 0;
+    this.lastCrashAt = null;
+    this.recycleCount = 0;
+  }
+
+  /**
+   * Recycle the browser after this many page loads or minutes (0 = never)
+   */
+  setRecycleLimits(pages, minutes) {
+    this.recyclePages = pages;
+    this.recycleMinutes = minutes;
+  }
+
+  /**
+   * Set how many pooled pages may be open at the same time
+   */
+  setMaxPages(maxPages) {
+    this.maxPages = Math.max(1, maxPages);
   }
 
   /**
    * Launch the browser
+   * Concurrent callers share the same launch
    */
   async launch() {
     if (this.isInitialized && this.browser) {
@@ -23,6 +63,19 @@ class BrowserManager {
       return this.browser;
     }
 
+    if (!this.launching) {
+      this.launching = this.startBrowser().finally(() => {
+        this.launching = null;
+      });
+    }
+
+    return this.launching;
+  }
+
+  /**
+   * Start Chrome and watch it for crashes
+   */
+  async startBrowser() {
     try {
       logger.info('Launching browser...');
 
@@ -48,9 +101,14 @@ class BrowserManager {
         ]
       };
 
-      this.browser = await puppeteer.launch(launchConfig);
+      const browser = await puppeteer.launch(launchConfig);
+      browser.on('disconnected', () => this.handleDisconnect(browser));
 
+      this.browser = browser;
       this.isInitialized = true;
+      this.launchedAt = Date.now();
+      this.pageLoads = 0;
+      this.generation++;
       logger.success('Browser launched successfully');
       return this.browser;
     } catch (error) {
@@ -59,16 +117,123 @@ class BrowserManager {
     }
   }
 
+  /**
+   * Forget a browser that crashed or was killed
+   * The next page request launches a new one
+   */
+  handleDisconnect(browser) {
+    // close() lets go of the browser first, so only unexpected disconnects get here
+    if (this.browser !== browser) {
+      return;
+    }
+
+    this.crashCount++;
+    this.lastCrashAt = new Date().toISOString();
+    logger.error('Browser disconnected unexpectedly, relaunching on next use');
+    this.resetState();
+  }
+
+  /**
+   * Drop the browser and every page that belonged to it
+   */
+  resetState() {
+    this.browser = null;
+    this.isInitialized = false;
+    this.launchedAt = null;
+    this.idlePages = [];
+    this.busyPages.clear();
+    this.openPages.clear();
+
+    // Waiting callers can open pages in the next browser
+    while (this.pageWaiters.length > 0) {
+      this.wakePageWaiter();
+    }
+  }
+
+  /**
+   * Check if the browser has served enough pages or run long enough to be recycled
+   */
+  isRecycleDue() {
+    if (!this.browser) {
+      return false;
+    }
+
+    const tooManyPages = this.recyclePages > 0 && this.pageLoads >= this.recyclePages;
+    const tooOld = this.recycleMinutes > 0 && Date.now() - this.launchedAt >= this.recycleMinutes * 60000;
+    return tooManyPages || tooOld;
+  }
+
+  /**
+   * Get the number of open pages that are handed out (not idle in the pool)
+   */
+  getPagesInUse() {
+    return this.openPages.size - this.idlePages.length;
+  }
+
+  /**
+   * Close the browser if it is due for recycling and no page is in use
+   * A busy browser is recycled on a later call, once its pages are back
+   */
+  async recycleIfDue() {
+    if (!this.isRecycleDue() || this.getPagesInUse() > 0) {
+      return;
+    }
+
+    const minutes = Math.round((Date.now() - this.launchedAt) / 60000);
+    logger.info(`Recycling browser after ${this.pageLoads} page loads and ${minutes} minutes`);
+    this.recycleCount++;
+    await this.close();
+  }
+
+  /**
+   * Run a browser operation, retrying it once if the browser crashed meanwhile
+   * The operation must take its pages itself, so the retry gets pages of the new browser
+   * @param {Function} operation - Async function using the browser
+   * @param {string} description - What the operation does, for logging
+   */
+  async runWithRecovery(operation, description) {
+    const generation = this.generation;
+
+    try {
+      return await operation();
+    } catch (error) {
+      const browserChanged = this.generation !== generation || !this.browser?.connected;
+      if (!browserChanged) {
+        throw error;
+      }
+
+      logger.warn(`Browser went away while ${description}, retrying once: ${error.message}`);
+      return await operation();
+    }
+  }
+
+  /**
+   * Check if a page belongs to the current, connected browser
+   */
+  isPageUsable(page) {
+    return Boolean(page) && !page.isClosed() && this.browser !== null && page.browser() === this.browser;
+  }
+
   /**
    * Create a new page with default settings
+   * Launches (or relaunches) the browser if needed
    */
   async createPage() {
+    return this.runWithRecovery(() => this.openPage(), 'opening a page');
+  }
+
+  async openPage() {
+    await this.recycleIfDue();
+
     if (!this.browser) {
       await this.launch();
     }
 
     try {
       const page = await this.browser.newPage();
+      this.openPages.add(page);
+      page.once('close', () => this.openPages.delete(page));
+      this.pageLoads++;
 
       // Set viewport
       await page.setViewport({
@@ -100,6 +265,70 @@ class BrowserManager {
     }
   }
 
+  /**
+   * Take a page from the pool
+   * Reuses an idle page, opens a new one while below the pool size,
+   * or waits until another caller releases one
+   */
+  async acquirePage() {
+    await this.recycleIfDue();
+
+    while (this.idlePages.length > 0) {
+      const page = this.idlePages.pop();
+      if (this.isPageUsable(page)) {
+        this.busyPages.add(page);
+        this.pageLoads++;
+        return page;
+      }
+    }
+
+    if (this.busyPages.size + this.openingPages < this.maxPages) {
+      this.openingPages++;
+      try {
+        const page = await this.createPage();
+        this.busyPages.add(page);
+        return page;
+      } catch (error) {
+        // Let a waiting caller try instead of waiting for a release that may never come
+        this.wakePageWaiter();
+        throw error;
+      } finally {
+        this.openingPages--;
+      }
+    }
+
+    await new Promise(resolve => this.pageWaiters.push(resolve));
+    return this.acquirePage();
+  }
+
+  /**
+   * Return a page to the pool
+   * The page is emptied first so an idle tab doesn't hold on to the last topic
+   */
+  async releasePage(page) {
+    this.busyPages.delete(page);
+
+    if (this.isPageUsable(page)) {
+      try {
+        await page.goto('about:blank');
+        this.idlePages.push(page);
+      } catch (error) {
+        logger.warn('Discarding pooled page:', error.message);
+        await this.closePage(page);
+      }
+    }
+
+    this.wakePageWaiter();
+  }
+
+  /**
+   * Let the longest waiting acquirePage caller try again
+   */
+  wakePageWaiter() {
+    const resolve = this.pageWaiters.shift();
+    if (resolve) resolve();
+  }
+
   /**
    * Navigate to a URL with error handling and timeout
    */
@@ -122,6 +351,8 @@ class BrowserManager {
    * Close a specific page
    */
   async closePage(page) {
+    this.openPages.delete(page);
+
     try {
       await page.close();
       logger.debug('Page closed');
@@ -135,10 +366,12 @@ class BrowserManager {
    */
   async close() {
     if (this.browser) {
+      // Let go of the browser first, so its disconnect isn't taken for a crash
+      const browser = this.browser;
+      this.resetState();
+
       try {
-        await this.browser.close();
-        this.browser = null;
-        this.isInitialized = false;
+        await browser.close();
         logger.info('Browser closed');
       } catch (error) {
         logger.error('Error closing browser:', error.message);
@@ -150,7 +383,22 @@ class BrowserManager {
    * Check if browser is running
    */
   isRunning() {
-    return this.isInitialized && this.browser !== null;
+    return this.isInitialized && this.browser !== null && this.browser.connected;
+  }
+
+  /**
+   * Browser health for /health and /status
+   */
+  getHealth() {
+    return {
+      running: this.isRunning(),
+      uptime: this.launchedAt ? Math.round((Date.now() - this.launchedAt) / 1000) : null,
+      pageLoads: this.pageLoads,
+      pagesInUse: this.browser ? this.getPagesInUse() : 0,
+      crashes: this.crashCount,
+      lastCrashAt: this.lastCrashAt,
+      recycles: this.recycleCount
+    };
   }
 }
 
@@ -4,34 +4,117 @@
  */
 
 import browserManager from './browser.js';
+import httpFetcher from './httpFetcher.js';
+import SnapshotStore from './snapshotStore.js';
+import HostThrottle from './hostThrottle.js';
+import { parseTorrent } from './torrentParser.js';
+import { parseReleaseName, mergeReleaseInfo } from './releaseParser.js';
+import { getFilmQualityTier } from './qualityTier.js';
 import {
   parseTitle,
   extractLanguage,
   extractSubtitles,
-  parseDownloads
+  parseDownloads,
+  extractTorrentAttachments,
+  mergeTorrentDownloads
 } from './parser.js';
 import { createLogger } from '../utils/logger.js';
 
 const logger = createLogger('DetailScraper');
 
+/**
+ * Load the cheerio-based extractor on first use in http or replay mode
+ */
+function loadHtmlExtractor() {
+  return import('./htmlExtractor.js');
+}
+
 class DetailScraper {
   constructor(config) {
     this.config = config;
+    this.snapshots = new SnapshotStore(config.scraper.snapshotDir);
+    this.throttle = new HostThrottle(config.scraper.hostDelay);
+
+    // One pooled browser tab per topic scraped at the same time
+    browserManager.setMaxPages(config.scraper.concurrency);
   }
 
   /**
-   * Scrape a single film detail page
+   * Load a topic page and extract the main post
+   * In HTTP mode the page is fetched and parsed statically first;
+   * the browser is only used if that fails or hits a challenge page.
+   * In replay mode the post is read from the snapshot directory.
    * @param {Object} filmBasic - Basic film info {id, detailUrl, title}
-   * @returns {Object} Complete film object or null if failed
+   * @returns {Object} {posterUrl, postTitle, contentText, contentHTML, debug, error}
    */
-  async scrapeFilmDetail(filmBasic) {
+  async fetchPostData(filmBasic) {
+    if (this.config.scraper.mode === 'replay') {
+      return await this.loadPostDataFromSnapshot(filmBasic);
+    }
+
+    if (this.config.scraper.mode === 'http') {
+      try {
+        await this.throttle.wait(filmBasic.detailUrl);
+        const { html } = await httpFetcher.fetchPage(filmBasic.detailUrl, this.config.scraper.timeout);
+        const { extractPostData } = await loadHtmlExtractor();
+        const filmData = extractPostData(html, filmBasic.detailUrl);
+
+        if (filmData.error || filmData.contentHTML.length <= 100) {
+          throw new Error(filmData.error || 'Post content missing from static HTML');
+        }
+
+        return filmData;
+      } catch (error) {
+        logger.warn(`HTTP scrape failed for ${filmBasic.title}, falling back to browser: ${error.message}`);
+      }
+    }
+
+    return await this.fetchPostDataWithBrowser(filmBasic);
+  }
+
+  /**
+   * Load the main post of a topic from its snapshot
+   */
+  async loadPostDataFromSnapshot(filmBasic) {
+    const snapshot = await this.snapshots.loadDetail(filmBasic.id);
+
+    if (!snapshot) {
+      throw new Error(`No snapshot for topic ${filmBasic.id} in ${this.config.scraper.snapshotDir}`);
+    }
+
+    const { extractTextContent } = await loadHtmlExtractor();
+    return {
+      posterUrl: snapshot.meta.posterUrl || null,
+      postTitle: snapshot.meta.postTitle || '',
+      contentText: extractTextContent(snapshot.contentHTML),
+      contentHTML: snapshot.contentHTML,
+      debug: {
+        usedSelector: 'snapshot',
+        contentLength: snapshot.contentHTML.length,
+        hasLinks: snapshot.contentHTML.includes('<a href'),
+        linkCount: (snapshot.contentHTML.match(/<a href/g) || []).length
+      }
+    };
+  }
+
+  /**
+   * Load a topic page in the browser and extract the main post
+   * If the browser crashes meanwhile, the topic is loaded once more in a new browser
+   */
+  async fetchPostDataWithBrowser(filmBasic) {
+    return browserManager.runWithRecovery(
+      () => this.loadPostInBrowser(filmBasic),
+      `scraping ${filmBasic.title}`
+    );
+  }
+
+  async loadPostInBrowser(filmBasic) {
     let page = null;
 
     try {
-      logger.info(`Scraping detail page for: ${filmBasic.title}`);
-
-      // Create new page
-      page = await browserManager.createPage();
+      // Take a tab from the pool
+      page = await browserManager.acquirePage();
+      await this.throttle.wait(filmBasic.detailUrl);
 
       // Navigate to detail URL
       const navigated = await browserManager.navigateToUrl(
@@ -48,9 +131,6 @@ class DetailScraper {
       await page.waitForSelector('.cPost_contentWrap', { timeout: 10000 });
       logger.debug('Post content loaded');
 
-      // Wait for JavaScript to render content and handle any redirects
-      await new Promise(resolve => setTimeout(resolve, 2000));
-
       // Wait for actual content to appear (not just the wrapper)
       try {
         await page.waitForFunction(() => {
@@ -63,7 +143,7 @@ class DetailScraper {
       }
 
       // Extract all film data
-      const filmData = await page.evaluate(() => {
+      return await page.evaluate(() => {
         // Get the first post (main post with film info)
         const firstPost = document.querySelector('.cPost_contentWrap');
         if (!firstPost) {
@@ -131,6 +211,76 @@ class DetailScraper {
           debug
         };
       });
+    } finally {
+      if (page) {
+        await browserManager.releasePage(page);
+      }
+    }
+  }
+
+  /**
+   * Download and parse the .torrent attachments of a post
+   * In replay mode the files are read from the snapshot directory.
+   * An attachment that can't be downloaded or isn't a valid torrent is skipped.
+   * @param {Object} filmBasic - Basic film info {id, detailUrl, title}
+   * @param {string} contentHTML - Post HTML
+   * @returns {Array} Array of {attachment, torrent} pairs
+   */
+  async fetchTorrentAttachments(filmBasic, contentHTML) {
+    const attachments = extractTorrentAttachments(contentHTML, filmBasic.detailUrl || undefined);
+    const torrents = [];
+
+    for (const attachment of attachments) {
+      try {
+        if (this.config.scraper.mode !== 'replay') {
+          await this.throttle.wait(attachment.url);
+        }
+
+        const buffer = this.config.scraper.mode === 'replay'
+          ? await this.snapshots.loadAttachment(filmBasic.id, attachment.attachmentId)
+          : await httpFetcher.fetchBuffer(attachment.url, this.config.scraper.timeout, filmBasic.detailUrl);
+
+        if (!buffer) {
+          throw new Error('No snapshot of the attachment');
+        }
+
+        torrents.push({ attachment, torrent: parseTorrent(buffer) });
+
+        if (this.config.scraper.mode !== 'replay') {
+          await this.snapshots.saveAttachment(filmBasic.id, attachment.attachmentId, buffer);
+        }
+      } catch (error) {
+        logger.warn(`Skipping torrent attachment ${attachment.label}: ${error.message}`);
+      }
+    }
+
+    if (torrents.length > 0) {
+      logger.debug(`Parsed ${torrents.length} torrent attachments for ${filmBasic.title}`);
+    }
+
+    return torrents;
+  }
+
+  /**
+   * Get the configured language of a forum section
+   * @returns {string|null} Language, or null for unknown or mixed-language sections
+   */
+  getSectionLanguage(sectionName) {
+    const source = this.config.scraper.sources.find(s => s.name === sectionName);
+    return source?.language || null;
+  }
+
+  /**
+   * Scrape a single film detail page
+   * @param {Object} filmBasic - Basic film info {id, detailUrl, title, section}
+   * @returns {Object} Complete film object or null if failed
+   */
+  async scrapeFilmDetail(filmBasic) {
+    try {
+      logger.info(`Scraping detail page for: ${filmBasic.title}`);
+
+      // Extract all film data
+      const filmData = await this.fetchPostData(filmBasic);
 
       // Log debug information
       if (filmData.debug) {
@@ -143,19 +293,15 @@ class DetailScraper {
         logger.warn(`Content extraction issue: ${filmData.error}`);
       }
 
-      // Save HTML content to file for debugging (only for first film)
-      if (filmData.contentHTML && filmBasic.id) {
-        try {
-          const fs = await import('fs/promises');
-          const path = await import('path');
-          const debugDir = path.join(process.cwd(), 'debug');
-          await fs.mkdir(debugDir, { recursive: true });
-          const htmlFile = path.join(debugDir, `film_${filmBasic.id}_content.html`);
-          await fs.writeFile(htmlFile, filmData.contentHTML, 'utf-8');
-          logger.debug(`Saved HTML content to: ${htmlFile}`);
-        } catch (err) {
-          // Ignore file write errors
-        }
+      // Save HTML content as a snapshot for debugging and replay
+      if (filmData.contentHTML && filmBasic.id && this.config.scraper.mode !== 'replay') {
+        await this.snapshots.saveDetail(filmBasic.id, filmData.contentHTML, {
+          detailUrl: filmBasic.detailUrl,
+          listingTitle: filmBasic.title,
+          section: filmBasic.section || null,
+          postTitle: filmData.postTitle,
+          posterUrl: filmData.posterUrl
+        });
       }
 
       if (!filmData) {
@@ -167,22 +313,41 @@ class DetailScraper {
       const { title, year } = parseTitle(filmData.postTitle || filmBasic.title);
 
       // Extract metadata
-      const language = extractLanguage(filmData.contentText);
       const subtitles = extractSubtitles(filmData.contentText);
 
-      // Parse download links from content (use HTML to preserve link structure)
-      const downloads = parseDownloads(filmData.contentHTML || filmData.contentText);
+      // Parse download links from content (use HTML to preserve link structure),
+      // plus the .torrent files attached to the post
+      const torrents = await this.fetchTorrentAttachments(filmBasic, filmData.contentHTML || '');
+      const downloads = mergeTorrentDownloads(
+        parseDownloads(filmData.contentHTML || filmData.contentText),
+        torrents
+      );
+
+      // Release details of the topic; the post title is more complete, the listing title fills gaps
+      const release = mergeReleaseInfo(
+        parseReleaseName(filmData.postTitle || filmBasic.title),
+        parseReleaseName(filmBasic.title)
+      );
+
+      // Languages of the release name, else a language tag in the post, else the section's language
+      const language = release.languages.length > 0
+        ? release.languages.join(' + ')
+        : extractLanguage(filmData.contentText, this.getSectionLanguage(filmBasic.section));
 
       // Build complete film object
       const film = {
         id: filmBasic.id,
         title,
         year,
+        listingTitle: filmBasic.title,
+        section: filmBasic.section || null,
         posterUrl: filmData.posterUrl,
         detailUrl: filmBasic.detailUrl,
         downloads,
         language,
         subtitles,
+        release,
+        qualityTier: getFilmQualityTier({ downloads, release }),
         scrapedAt: new Date().toISOString()
       };
 
@@ -192,46 +357,56 @@ class DetailScraper {
     } catch (error) {
       logger.error(`Error scraping detail page for ${filmBasic.title}:`, error.message);
       return null;
-    } finally {
-      if (page) {
-        await browserManager.closePage(page);
-      }
     }
   }
 
   /**
    * Scrape multiple film detail pages
+   * Up to config.scraper.concurrency topics are scraped at the same time, with
+   * requests to the forum spaced out by the host throttle. Once the run budget
+   * is used up no new topics are started; they stay unseen for the next check.
    * @param {Array} films - Array of basic film objects
-   * @returns {Array} Array of complete film objects
+   * @returns {Array} Array of complete film objects, in the order of the input
    */
   async scrapeMultipleFilms(films) {
-    const results = [];
+    const { concurrency, runBudget } = this.config.scraper;
+    const deadline = runBudget > 0 ? Date.now() + runBudget : Infinity;
+    const results = new Array(films.length).fill(null);
+    let nextIndex = 0;
+    let startedCount = 0;
+
+    const worker = async () => {
+      while (nextIndex < films.length && Date.now() < deadline) {
+        const index = nextIndex++;
+        const film = films[index];
+        startedCount++;
 
-    for (const film of films) {
-      try {
-        const filmData = await this.scrapeFilmDetail(film);
-        if (filmData && filmData.downloads.length > 0) {
-          results.push(filmData);
-        } else {
-          logger.warn(`Skipping ${film.title} - no download links found`);
+        try {
+          const filmData = await this.scrapeFilmDetail(film);
+          if (filmData && filmData.downloads.length > 0) {
+            results[index] = filmData;
+          } else {
+            logger.warn(`Skipping ${film.title} - no download links found`);
+          }
+        } catch (error) {
+          logger.error(`Failed to scrape ${film.title}, continuing with next...`);
         }
-
-        // Add delay between requests to avoid rate limiting
-        await this.delay(2000);
-      } catch (error) {
-        logger.error(`Failed to scrape ${film.title}, continuing with next...`);
       }
-    }
+    };
 
-    logger.info(`Successfully scraped ${results.length} of ${films.length} films`);
-    return results;
-  }
+    const workerCount = Math.max(1, Math.min(concurrency, films.length));
+    await Promise.all(Array.from({ length: workerCount }, worker));
 
-  /**
-   * Delay helper
-   */
-  delay(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+    if (startedCount < films.length) {
+      logger.warn(
+        `Scrape budget of ${Math.round(runBudget / 1000)}s used up, ` +
+        `${films.length - startedCount} topics left for the next check`
+      );
+    }
+
+    const scraped = results.filter(Boolean);
+    logger.info(`Successfully scraped ${scraped.length} of ${films.length} films`);
+    return scraped;
   }
 }
 
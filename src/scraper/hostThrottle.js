@@ -0,0 +1,41 @@
+/**
+ * Per-host request throttle
+ * Keeps a minimum gap between requests to the same host, also when several
+ * topics are scraped at the same time
+ */
+
+class HostThrottle {
+  /**
+   * @param {number} delay - Minimum milliseconds between two requests to one host
+   */
+  constructor(delay) {
+    this.delay = delay;
+    this.nextSlots = new Map(); // Host -> earliest time of its next request
+  }
+
+  /**
+   * Wait for this URL's host to be free, and reserve the slot
+   */
+  async wait(url) {
+    if (this.delay <= 0) {
+      return;
+    }
+
+    let host;
+    try {
+      host = new URL(url).host;
+    } catch (error) {
+      return;
+    }
+
+    const now = Date.now();
+    const slot = Math.max(now, this.nextSlots.get(host) || 0);
+    this.nextSlots.set(host, slot + this.delay);
+
+    if (slot > now) {
+      await new Promise(resolve => setTimeout(resolve, slot - now));
+    }
+  }
+}
+
+export default HostThrottle;
@@ -0,0 +1,151 @@
+/**
+ * Static HTML extraction
+ * Mirrors the in-browser extraction of the listing and detail scrapers using cheerio,
+ * so pages fetched over plain HTTP produce the same objects
+ */
+
+import * as cheerio from 'cheerio';
+
+const TOPIC_LINK_SELECTOR = '.ipsBox a[href*="/forums/topic/"]';
+
+// Same order as the in-browser detail extraction
+const CONTENT_SELECTORS = [
+  '[data-role="commentContent"]',
+  '.cPost_post',
+  '.cPost_article',
+  '.ipsComment_content',
+  '.cPost_contentWrap .ipsType_richText',
+  '.cPost_contentWrap'  // Fallback to wrapper itself
+];
+
+/**
+ * Resolve a possibly relative URL against the page URL
+ */
+function toAbsoluteUrl(href, baseUrl) {
+  try {
+    return new URL(href, baseUrl).href;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Extract topic entries and the next page URL from a listing page
+ * @param {string} html - Listing page HTML
+ * @param {string} baseUrl - URL the page was loaded from
+ * @param {number} maxFilms - Maximum entries to return
+ * @returns {Object} {films, nextUrl} - Raw {detailUrl, title} entries and the next page URL
+ */
+export function extractListingEntries(html, baseUrl, maxFilms) {
+  const $ = cheerio.load(html);
+  const filmEntries = [];
+  const uniqueUrls = new Set(); // Prevent duplicates
+
+  $(TOPIC_LINK_SELECTOR).each((index, element) => {
+    if (filmEntries.length >= maxFilms) return false;
+
+    const detailUrl = toAbsoluteUrl($(element).attr('href'), baseUrl);
+    const title = $(element).text().trim();
+
+    // Skip if already added or empty title
+    if (!detailUrl || uniqueUrls.has(detailUrl) || !title) return undefined;
+
+    uniqueUrls.add(detailUrl);
+    filmEntries.push({
+      detailUrl,
+      title
+    });
+    return undefined;
+  });
+
+  const nextHref = $('link[rel="next"]').attr('href') ||
+    $('a[rel="next"]').attr('href') ||
+    $('.ipsPagination_next:not(.ipsPagination_inactive) a').attr('href');
+
+  return {
+    films: filmEntries,
+    nextUrl: nextHref ? toAbsoluteUrl(nextHref, baseUrl) : null
+  };
+}
+
+/**
+ * Extract the main post of a topic page
+ * @param {string} html - Topic page HTML
+ * @param {string} baseUrl - URL the page was loaded from
+ * @returns {Object} {posterUrl, postTitle, contentText, contentHTML, debug} or {error}
+ */
+export function extractPostData(html, baseUrl) {
+  const $ = cheerio.load(html);
+
+  // Get the first post (main post with film info)
+  const firstPost = $('.cPost_contentWrap').first();
+  if (firstPost.length === 0) {
+    return { error: 'Post wrapper not found' };
+  }
+
+  // Extract poster image (lazy-loaded images keep the real URL in data-src)
+  let posterUrl = null;
+  firstPost.find('img').each((index, element) => {
+    const src = $(element).attr('data-src') || $(element).attr('src') || '';
+    if (/\.(jpe?g|png)/i.test(src)) {
+      posterUrl = toAbsoluteUrl(src, baseUrl);
+      return false;
+    }
+    return undefined;
+  });
+
+  // Get post title
+  const postTitle = $('.ipsType_pageTitle').first().text().trim();
+
+  let postContent = null;
+  let usedSelector = '';
+
+  for (const selector of CONTENT_SELECTORS) {
+    const candidate = selector === '.cPost_contentWrap' ? firstPost : firstPost.find(selector).first();
+    if (candidate.length > 0 && (candidate.html() || '').trim().length > 0) {
+      postContent = candidate;
+      usedSelector = selector;
+      break;
+    }
+  }
+
+  if (!postContent) {
+    return {
+      posterUrl,
+      postTitle,
+      contentText: '',
+      contentHTML: '',
+      error: 'No content selector matched'
+    };
+  }
+
+  // Use inner HTML instead of text to preserve links
+  const contentHTML = postContent.html() || '';
+  const contentText = postContent.text() || '';
+
+  return {
+    posterUrl,
+    postTitle,
+    contentText,
+    contentHTML,
+    debug: {
+      usedSelector,
+      contentLength: contentHTML.length,
+      hasLinks: contentHTML.includes('<a href'),
+      linkCount: (contentHTML.match(/<a href/g) || []).length
+    }
+  };
+}
+
+/**
+ * Get the text content of an HTML fragment
+ */
+export function extractTextContent(html) {
+  return cheerio.load(html, null, false).root().text();
+}
+
+export default {
+  extractListingEntries,
+  extractPostData,
+  extractTextContent
+};
@@ -0,0 +1,181 @@
+/**
+ * Lightweight HTTP page fetcher
+ * Fetches server-rendered forum pages without launching a browser
+ */
+
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('HttpFetcher');
+
+const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+
+// Largest file fetchBuffer downloads; .torrent files are a few hundred KB at most
+const MAX_BUFFER_BYTES = 5 * 1024 * 1024;
+
+// Markers of anti-bot interstitials that only a real browser can get past
+const CHALLENGE_MARKERS = [
+  'cf-browser-verification',
+  'cf-chl-',
+  'challenge-platform',
+  '<title>Just a moment...</title>',
+  'Checking your browser before accessing',
+  'DDoS-Guard'
+];
+
+// Markers of domain parking / for-sale pages left behind when the site moves
+const PARKED_MARKERS = [
+  'This domain is for sale',
+  'This domain may be for sale',
+  'Buy this domain',
+  'domain is parked',
+  'parkingcrew.net',
+  'sedoparking.com',
+  'bodis.com',
+  'dan.com/buy-domain',
+  'hugedomains.com'
+];
+
+/**
+ * Check if an HTML document is an anti-bot challenge page
+ */
+export function isChallengePage(html) {
+  return CHALLENGE_MARKERS.some(marker => html.includes(marker));
+}
+
+/**
+ * Check if an HTML document is a parked domain page
+ */
+export function isParkedPage(html) {
+  return PARKED_MARKERS.some(marker => html.includes(marker));
+}
+
+class HttpFetcher {
+  /**
+   * Request a page without validating the response
+   * Redirects are followed; url is the final URL after redirects
+   * @param {string} url - Page URL
+   * @param {number} timeout - Request timeout in milliseconds
+   * @returns {Object} {html, url, status, statusText, ok}
+   */
+  async request(url, timeout = 30000) {
+    logger.info(`Fetching: ${url}`);
+
+    const response = await fetch(url, {
+      redirect: 'follow',
+      signal: AbortSignal.timeout(timeout),
+      headers: {
+        'User-Agent': USER_AGENT,
+        'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+        'Accept-Language': 'en-US,en;q=0.9'
+      }
+    });
+
+    return {
+      html: await response.text(),
+      url: response.url || url,
+      status: response.status,
+      statusText: response.statusText,
+      ok: response.ok
+    };
+  }
+
+  /**
+   * Fetch a page and return its HTML
+   * Throws if the request fails, times out or hits a challenge or parked page,
+   * so callers can fall back to the browser
+   * @param {string} url - Page URL
+   * @param {number} timeout - Request timeout in milliseconds
+   * @returns {Object} {html, url} - Page HTML and the final URL after redirects
+   */
+  async fetchPage(url, timeout = 30000) {
+    const response = await this.request(url, timeout);
+
+    if (isChallengePage(response.html)) {
+      throw new Error(`Challenge page detected (HTTP ${response.status})`);
+    }
+
+    if (isParkedPage(response.html)) {
+      throw new Error(`Parked domain page at ${response.url}`);
+    }
+
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status} ${response.statusText}`);
+    }
+
+    logger.debug(`Fetched ${response.html.length} bytes from ${response.url}`);
+    return { html: response.html, url: response.url };
+  }
+
+  /**
+   * Download a binary file, such as a .torrent attachment
+   * Throws if the server answers with an HTML page (login wall, challenge, error page),
+   * or if the file is larger than maxBytes; reading stops as soon as it is
+   * @param {string} url - File URL
+   * @param {number} timeout - Request timeout in milliseconds
+   * @param {string} referer - Page the file is linked from
+   * @param {number} maxBytes - Largest accepted file size
+   * @returns {Buffer} File contents
+   */
+  async fetchBuffer(url, timeout = 30000, referer = null, maxBytes = MAX_BUFFER_BYTES) {
+    logger.info(`Downloading: ${url}`);
+
+    const headers = { 'User-Agent': USER_AGENT };
+    if (referer) headers.Referer = referer;
+
+    const response = await fetch(url, {
+      redirect: 'follow',
+      signal: AbortSignal.timeout(timeout),
+      headers
+    });
+
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status} ${response.statusText}`);
+    }
+
+    if ((response.headers.get('content-type') || '').includes('text/html')) {
+      throw new Error('Got an HTML page instead of a file');
+    }
+
+    const declaredLength = parseInt(response.headers.get('content-length'), 10);
+    if (declaredLength > maxBytes) {
+      await response.body?.cancel();
+      throw new Error(`File too large (${declaredLength} bytes, limit ${maxBytes})`);
+    }
+
+    return this.readBody(response, maxBytes);
+  }
+
+  /**
+   * Read a response body, giving up once it grows past maxBytes
+   * The Content-Length header can be missing or wrong, so the bytes are counted too
+   */
+  async readBody(response, maxBytes) {
+    if (!response.body) {
+      return Buffer.alloc(0);
+    }
+
+    const reader = response.body.getReader();
+    const chunks = [];
+    let size = 0;
+
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+
+      size += value.length;
+      if (size > maxBytes) {
+        await reader.cancel();
+        throw new Error(`File too large (over ${maxBytes} bytes)`);
+      }
+
+      chunks.push(value);
+    }
+
+    return Buffer.concat(chunks);
+  }
+}
+
+// Singleton instance
+const httpFetcher = new HttpFetcher();
+
+export default httpFetcher;
@@ -1,115 +1,289 @@
 /**
  * Listing page scraper
- * Scrapes the forum listing page to get film URLs and IDs
+ * Scrapes the forum listing pages to get film URLs and IDs
  */
 
 import browserManager from './browser.js';
+import httpFetcher, { isParkedPage } from './httpFetcher.js';
+import SnapshotStore from './snapshotStore.js';
 import { extractFilmId } from './parser.js';
 import { createLogger } from '../utils/logger.js';
 
 const logger = createLogger('ListingScraper');
 
+/**
+ * Load the static HTML extractor
+ * It is only needed in http and replay mode, so browser mode never loads cheerio
+ */
+function loadHtmlExtractor() {
+  return import('./htmlExtractor.js');
+}
+
 class ListingScraper {
-  constructor(config) {
+  /**
+   * @param {Object} config - Application config
+   * @param {MirrorManager} mirrors - Optional mirror manager for domain failover
+   */
+  constructor(config, mirrors = null) {
     this.config = config;
+    this.mirrors = mirrors;
+    this.snapshots = new SnapshotStore(config.scraper.snapshotDir);
   }
 
   /**
-   * Scrape the listing page for film entries
-   * @returns {Array} Array of {id, detailUrl, title} objects
+   * Load one listing page and extract its entries
+   * In HTTP mode the page is fetched and parsed statically first;
+   * the browser is only used if that fails or hits a challenge page.
+   * In replay mode the page is read from the snapshot directory.
+   * Live pages are saved as snapshots so they can be replayed later.
+   * A redirect to another domain is reported to the mirror manager.
+   * @param {string} url - Listing page URL
+   * @param {number} maxFilms - Maximum entries to read
+   * @param {Object} session - Holds the browser page, created on first use and reused across pages
+   * @param {Object} location - {section, pageNumber} used to name snapshots
+   * @returns {Object} {films, nextUrl} - Raw {detailUrl, title} entries and the next page URL
    */
-  async scrapeListingPage() {
-    let page = null;
+  async loadListingEntries(url, maxFilms, session, location) {
+    if (this.config.scraper.mode === 'replay') {
+      const html = await this.snapshots.loadListing(location.section, location.pageNumber);
 
-    try {
-      logger.info('Starting listing page scrape...');
+      if (html === null) {
+        throw new Error(`No listing snapshot for ${location.section} page ${location.pageNumber}`);
+      }
+
+      const { extractListingEntries } = await loadHtmlExtractor();
+      return extractListingEntries(html, url, maxFilms);
+    }
+
+    if (this.config.scraper.mode === 'http') {
+      try {
+        const { html, url: finalUrl } = await httpFetcher.fetchPage(url, this.config.scraper.timeout);
+        const { extractListingEntries } = await loadHtmlExtractor();
+        const result = extractListingEntries(html, finalUrl, maxFilms);
+
+        if (result.films.length === 0) {
+          throw new Error('No topics found in static HTML');
+        }
+
+        await this.snapshots.saveListing(location.section, location.pageNumber, html);
+        await this.mirrors?.handleRedirect(url, finalUrl);
+        return result;
+      } catch (error) {
+        logger.warn(`HTTP scrape failed for ${url}, falling back to browser: ${error.message}`);
+      }
+    }
+
+    // If the browser crashes meanwhile, the page is loaded once more in a new browser
+    return browserManager.runWithRecovery(
+      () => this.loadListingInBrowser(url, maxFilms, session, location),
+      `loading ${url}`
+    );
+  }
+
+  /**
+   * Load a listing page in the session's browser page
+   * The page is replaced if it belonged to a browser that crashed or was recycled
+   */
+  async loadListingInBrowser(url, maxFilms, session, location) {
+    if (!browserManager.isPageUsable(session.page)) {
+      session.page = await browserManager.createPage();
+    }
+
+    // Navigate to listing URL
+    const navigated = await browserManager.navigateToUrl(
+      session.page,
+      url,
+      this.config.scraper.timeout
+    );
+
+    if (!navigated) {
+      throw new Error('Failed to navigate to listing page');
+    }
+
+    const html = await session.page.content();
+    if (isParkedPage(html)) {
+      throw new Error(`Parked domain page at ${session.page.url()}`);
+    }
+
+    const result = await this.extractListingEntriesFromPage(session.page, maxFilms);
+    await this.snapshots.saveListing(location.section, location.pageNumber, html);
+    await this.mirrors?.handleRedirect(url, session.page.url());
+    return result;
+  }
 
-      // Create new page
-      page = await browserManager.createPage();
+  /**
+   * Scrape one listing page that the browser page has already navigated to
+   * @returns {Object} {films, nextUrl} - Raw {detailUrl, title} entries and the next page URL
+   */
+  async extractListingEntriesFromPage(page, maxFilms) {
+    // Wait for forum topics to load
+    await page.waitForSelector('.ipsBox a[href*="/forums/topic/"]', { timeout: 10000 });
+    logger.debug('Forum topics loaded');
+
+    // Extract film entries and the pagination link
+    return await page.evaluate((maxFilms) => {
+      const filmEntries = [];
+      const topicLinks = document.querySelectorAll('.ipsBox a[href*="/forums/topic/"]');
+      const uniqueUrls = new Set(); // Prevent duplicates
+
+      for (let i = 0; i < topicLinks.length && filmEntries.length < maxFilms; i++) {
+        const link = topicLinks[i];
+        const detailUrl = link.href;
+        const title = link.textContent.trim();
 
-      // Navigate to listing URL
-      const navigated = await browserManager.navigateToUrl(
-        page,
-        this.config.scraper.listingUrl,
-        this.config.scraper.timeout
-      );
+        // Skip if already added or empty title
+        if (uniqueUrls.has(detailUrl) || !title) continue;
 
-      if (!navigated) {
-        throw new Error('Failed to navigate to listing page');
+        uniqueUrls.add(detailUrl);
+        filmEntries.push({
+          detailUrl,
+          title
+        });
       }
 
-      // Wait for forum topics to load
-      await page.waitForSelector('.ipsBox a[href*="/forums/topic/"]', { timeout: 10000 });
-      logger.debug('Forum topics loaded');
+      const nextLink = document.querySelector('link[rel="next"], a[rel="next"], .ipsPagination_next:not(.ipsPagination_inactive) a');
 
-      // Extract film entries
-      const films = await page.evaluate((maxFilms) => {
-        const filmEntries = [];
-        const topicLinks = document.querySelectorAll('.ipsBox a[href*="/forums/topic/"]');
-        const uniqueUrls = new Set(); // Prevent duplicates
+      return {
+        films: filmEntries,
+        nextUrl: nextLink ? nextLink.href : null
+      };
+    }, maxFilms);
+  }
 
-        for (let i = 0; i < topicLinks.length && filmEntries.length < maxFilms; i++) {
-          const link = topicLinks[i];
-          const detailUrl = link.href;
-          const title = link.textContent.trim();
+  /**
+   * Scrape a section's listing pages for film entries
+   * Follows the forum's pagination up to maxPages pages. When isKnown is given,
+   * it stops after a page whose last topic is already known: older pages have
+   * been seen before. The last topic is used rather than any topic because
+   * pinned topics on the first page are always known.
+   * @param {Object} source - Section to scrape {name, listingUrl, maxFilms}
+   * @param {Object} options - {maxPages, isKnown(id)}
+   * @returns {Array} Array of {id, detailUrl, title, section} objects
+   */
+  async scrapeListingPage(source, options = {}) {
+    const maxPages = options.maxPages || this.config.scraper.maxPages;
+    const isKnown = options.isKnown || null;
+    const session = { page: null };
 
-          // Skip if already added or empty title
-          if (uniqueUrls.has(detailUrl) || !title) continue;
+    try {
+      logger.info(`Starting listing page scrape for section: ${source.name}`);
 
-          uniqueUrls.add(detailUrl);
-          filmEntries.push({
-            detailUrl,
-            title
+      const films = [];
+      let pageUrl = source.listingUrl;
+
+      for (let pageNumber = 1; pageNumber <= maxPages && pageUrl; pageNumber++) {
+        let pageResult;
+
+        try {
+          pageResult = await this.loadListingEntries(pageUrl, source.maxFilms, session, {
+            section: source.name,
+            pageNumber
           });
+        } catch (error) {
+          // Later pages failing shouldn't discard what was already collected
+          if (pageNumber > 1) {
+            logger.warn(`Stopping pagination for ${source.name} at page ${pageNumber}: ${error.message}`);
+            break;
+          }
+          throw error;
         }
 
-        return filmEntries;
-      }, this.config.scraper.maxFilms);
+        const { films: pageFilms, nextUrl } = pageResult;
+        const pageFilmsWithIds = this.attachIds(pageFilms, source);
+        films.push(...pageFilmsWithIds);
 
-      // Extract IDs from URLs
-      const filmsWithIds = films
-        .map(film => {
-          const id = extractFilmId(film.detailUrl);
-          return id ? { ...film, id } : null;
-        })
-        .filter(film => film !== null);
+        logger.debug(`Page ${pageNumber} of ${source.name}: ${pageFilmsWithIds.length} topics`);
+
+        const lastFilm = pageFilmsWithIds[pageFilmsWithIds.length - 1];
+        if (isKnown && lastFilm && isKnown(lastFilm.id)) {
+          logger.debug(`Reached known topic ${lastFilm.id}, stopping pagination`);
+          break;
+        }
 
-      // Remove duplicates by ID (in case same film appears with different URLs)
+        pageUrl = nextUrl;
+      }
+
+      // Remove duplicates by ID (in case same film appears with different URLs or on two pages)
       const uniqueFilms = [];
       const seenIds = new Set();
 
-      for (const film of filmsWithIds) {
+      for (const film of films) {
         if (!seenIds.has(film.id)) {
           seenIds.add(film.id);
           uniqueFilms.push(film);
         }
       }
 
-      logger.success(`Scraped ${uniqueFilms.length} films from listing page (${filmsWithIds.length - uniqueFilms.length} duplicates removed)`);
+      logger.success(`Scraped ${uniqueFilms.length} films from ${source.name} listing pages (${films.length - uniqueFilms.length} duplicates removed)`);
 
       return uniqueFilms;
     } catch (error) {
       logger.error('Error scraping listing page:', error.message);
       throw error;
     } finally {
-      if (page) {
-        await browserManager.closePage(page);
+      if (session.page) {
+        await browserManager.closePage(session.page);
       }
     }
   }
 
   /**
-   * Get latest films from the listing page
-   * This is the main entry point for the listing scraper
+   * Extract IDs from URLs and tag entries with their section
    */
-  async getLatestFilms() {
-    try {
-      const films = await this.scrapeListingPage();
-      return films;
-    } catch (error) {
-      logger.error('Failed to get latest films:', error.message);
-      return [];
+  attachIds(films, source) {
+    return films
+      .map(film => {
+        const id = extractFilmId(film.detailUrl);
+        return id ? { ...film, id, section: source.name } : null;
+      })
+      .filter(film => film !== null);
+  }
+
+  /**
+   * Get latest films from every configured section
+   * This is the main entry point for the listing scraper.
+   * A failing section is skipped so the others are still checked.
+   * The first failure triggers a mirror failover, after which the section is retried once.
+   * @param {Object} options - Pagination options passed to scrapeListingPage
+   */
+  async getLatestFilms(options = {}) {
+    const films = [];
+    const seenIds = new Set();
+    let failoverTried = false;
+
+    for (const source of this.config.scraper.sources) {
+      try {
+        let sectionFilms;
+
+        try {
+          sectionFilms = await this.scrapeListingPage(source, options);
+        } catch (error) {
+          if (!this.mirrors || failoverTried) {
+            throw error;
+          }
+
+          failoverTried = true;
+          if (!await this.mirrors.failover(error.message)) {
+            throw error;
+          }
+
+          // source.listingUrl now points at the working domain
+          sectionFilms = await this.scrapeListingPage(source, options);
+        }
+
+        // A topic cross-posted in several sections keeps the first section it was found in
+        for (const film of sectionFilms) {
+          if (!seenIds.has(film.id)) {
+            seenIds.add(film.id);
+            films.push(film);
+          }
+        }
+      } catch (error) {
+        logger.error(`Failed to get latest films for section ${source.name}:`, error.message);
+      }
     }
+
+    return films;
   }
 }
 
@@ -0,0 +1,162 @@
+/**
+ * Magnet link parser
+ * Extracts the infohash, display name, size and trackers from magnet URIs
+ */
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * Decode the HTML entities that appear inside magnet links copied from post HTML
+ */
+export function decodeMagnetEntities(uri) {
+  return uri
+    .replace(/&amp;/gi, '&')
+    .replace(/&#0*38;/g, '&')
+    .replace(/&#x0*26;/gi, '&');
+}
+
+/**
+ * Convert a base32 encoded infohash (32 characters) to lowercase hex
+ * Returns null if the text is not valid base32
+ */
+export function base32ToHex(base32) {
+  let bits = '';
+
+  for (const char of base32.toUpperCase()) {
+    const value = BASE32_ALPHABET.indexOf(char);
+    if (value === -1) return null;
+    bits += value.toString(2).padStart(5, '0');
+  }
+
+  let hex = '';
+  for (let i = 0; i + 4 <= bits.length; i += 4) {
+    hex += parseInt(bits.slice(i, i + 4), 2).toString(16);
+  }
+
+  return hex;
+}
+
+/**
+ * Normalize a BTIH value to a 40 character lowercase hex infohash
+ * Accepts hex (40 chars) and base32 (32 chars) encodings
+ */
+export function normalizeInfoHash(value) {
+  if (/^[a-fA-F0-9]{40}$/.test(value)) {
+    return value.toLowerCase();
+  }
+
+  if (/^[a-zA-Z2-7]{32}$/.test(value)) {
+    return base32ToHex(value);
+  }
+
+  return null;
+}
+
+/**
+ * Decode a magnet parameter value, keeping it as-is if it is not valid percent-encoding
+ */
+function decodeParam(value) {
+  try {
+    return decodeURIComponent(value.replace(/\+/g, ' '));
+  } catch (error) {
+    return value;
+  }
+}
+
+/**
+ * Parse a magnet URI
+ * Example: magnet:?xt=urn:btih:<hash>&dn=Movie.2024.1080p.mkv&xl=2362232012&tr=udp://...
+ * @param {string} uri - Magnet URI, possibly with HTML-encoded ampersands
+ * @returns {Object|null} {infoHash, displayName, size, trackers, uri} or null if there is no valid BTIH
+ */
+export function parseMagnet(uri) {
+  if (!uri) return null;
+
+  const decodedUri = decodeMagnetEntities(uri.trim());
+  const queryMatch = decodedUri.match(/^magnet:\?(.*)$/i);
+  if (!queryMatch) return null;
+
+  let infoHash = null;
+  let displayName = null;
+  let size = null;
+  const trackers = [];
+
+  for (const pair of queryMatch[1].split('&')) {
+    const separator = pair.indexOf('=');
+    if (separator === -1) continue;
+
+    const key = pair.slice(0, separator).toLowerCase();
+    const value = pair.slice(separator + 1);
+
+    // Keys may carry an index suffix, like xt.1 or tr.2
+    switch (key.split('.')[0]) {
+      case 'xt': {
+        const hashMatch = value.match(/^urn:btih:(.+)$/i);
+        if (hashMatch && !infoHash) {
+          infoHash = normalizeInfoHash(hashMatch[1]);
+        }
+        break;
+      }
+      case 'dn':
+        displayName = displayName || decodeParam(value);
+        break;
+      case 'xl': {
+        const parsedSize = parseInt(value, 10);
+        size = parsedSize > 0 ? parsedSize : size;
+        break;
+      }
+      case 'tr': {
+        const tracker = decodeParam(value);
+        if (!trackers.includes(tracker)) trackers.push(tracker);
+        break;
+      }
+      default:
+        break;
+    }
+  }
+
+  if (!infoHash) return null;
+
+  return {
+    infoHash,
+    displayName,
+    size,
+    trackers,
+    uri: decodedUri
+  };
+}
+
+/**
+ * Build a magnet URI from its parts
+ * @param {string} infoHash - Hex infohash
+ * @param {string} displayName - Optional display name
+ * @param {Array} trackers - Optional tracker URLs
+ */
+export function buildMagnet(infoHash, displayName = null, trackers = []) {
+  let uri = `magnet:?xt=urn:btih:${infoHash}`;
+
+  if (displayName) {
+    uri += `&dn=${encodeURIComponent(displayName)}`;
+  }
+  for (const tracker of trackers) {
+    uri += `&tr=${encodeURIComponent(tracker)}`;
+  }
+
+  return uri;
+}
+
+/**
+ * Get the infohash of a magnet URI, or null
+ */
+export function getInfoHash(uri) {
+  return parseMagnet(uri)?.infoHash || null;
+}
+
+export default {
+  decodeMagnetEntities,
+  base32ToHex,
+  normalizeInfoHash,
+  parseMagnet,
+  buildMagnet,
+  getInfoHash
+};
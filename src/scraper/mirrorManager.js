@@ -0,0 +1,194 @@
+/**
+ * Mirror domain manager
+ * The site moves between domains regularly. This keeps track of the domain that
+ * currently works, probes the configured mirrors when it stops working, and
+ * moves configured and stored URLs over to the new domain.
+ */
+
+import httpFetcher, { isChallengePage, isParkedPage } from './httpFetcher.js';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('MirrorManager');
+
+const ACTIVE_DOMAIN_KEY = 'active_domain';
+
+// Present on any forum listing page of the site
+const FORUM_MARKER = '/forums/topic/';
+
+/**
+ * Get the origin (scheme + host) of a URL, or null if it is invalid
+ */
+function getOrigin(url) {
+  try {
+    return new URL(url).origin;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Move a URL to another origin, keeping its path and query
+ */
+function replaceOrigin(url, origin) {
+  const currentOrigin = getOrigin(url);
+  return currentOrigin ? origin + url.slice(currentOrigin.length) : url;
+}
+
+class MirrorManager {
+  /**
+   * @param {Object} config - Application config; scraper URLs are updated in place on a switch
+   * @param {Object} database - Storage backend, used to persist the working domain
+   */
+  constructor(config, database) {
+    this.config = config;
+    this.database = database;
+    this.configuredOrigin = getOrigin(config.scraper.targetUrl);
+    this.currentOrigin = this.configuredOrigin;
+    this.onSwitch = null;
+  }
+
+  /**
+   * Restore the domain that worked last time
+   */
+  async initialize() {
+    const savedOrigin = this.database.getMeta(ACTIVE_DOMAIN_KEY);
+
+    if (savedOrigin && savedOrigin !== this.currentOrigin) {
+      logger.info(`Using saved site domain ${savedOrigin} instead of ${this.currentOrigin}`);
+      this.applyOrigin(savedOrigin);
+    }
+  }
+
+  /**
+   * Set the function called after the domain switches
+   * @param {Function} handler - async (fromOrigin, toOrigin, reason) => void
+   */
+  setSwitchHandler(handler) {
+    this.onSwitch = handler;
+  }
+
+  /**
+   * Candidate origins in probing order: the current domain first,
+   * then TARGET_URL's domain and the configured mirrors
+   */
+  getCandidates() {
+    const origins = [this.currentOrigin, this.configuredOrigin, ...this.config.scraper.mirrors.map(getOrigin)];
+    return [...new Set(origins.filter(Boolean))];
+  }
+
+  /**
+   * Point the configured scraper URLs at a new origin
+   */
+  applyOrigin(origin) {
+    const scraper = this.config.scraper;
+
+    scraper.targetUrl = replaceOrigin(scraper.targetUrl, origin);
+    scraper.listingUrl = replaceOrigin(scraper.listingUrl, origin);
+    for (const source of scraper.sources) {
+      source.listingUrl = replaceOrigin(source.listingUrl, origin);
+    }
+
+    this.currentOrigin = origin;
+  }
+
+  /**
+   * Check if a domain serves the forum
+   * Redirects are followed, so a domain that forwards to the new one reports the new one.
+   * A challenge page counts as working since the browser can get past it.
+   * @returns {string|null} The working origin, or null
+   */
+  async probe(origin) {
+    const probeUrl = replaceOrigin(this.config.scraper.sources[0].listingUrl, origin);
+
+    try {
+      const response = await httpFetcher.request(probeUrl, this.config.scraper.timeout);
+
+      if (isParkedPage(response.html)) {
+        logger.warn(`${origin} is a parked domain`);
+        return null;
+      }
+
+      if (isChallengePage(response.html) || (response.ok && response.html.includes(FORUM_MARKER))) {
+        return getOrigin(response.url);
+      }
+
+      logger.warn(`${origin} does not serve the forum (HTTP ${response.status})`);
+      return null;
+    } catch (error) {
+      logger.warn(`${origin} is unreachable: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Find a working domain after the current one failed
+   * @param {string} reason - Why the current domain is considered broken
+   * @returns {boolean} True if a working domain was found (current or new)
+   */
+  async failover(reason) {
+    if (this.config.scraper.mode === 'replay') {
+      return false;
+    }
+
+    logger.warn(`Site domain ${this.currentOrigin} failed (${reason}), probing mirrors...`);
+
+    for (const candidate of this.getCandidates()) {
+      const workingOrigin = await this.probe(candidate);
+
+      if (workingOrigin) {
+        if (workingOrigin !== this.currentOrigin) {
+          await this.switchTo(workingOrigin, reason);
+        } else {
+          logger.info(`${workingOrigin} is reachable again`);
+        }
+        return true;
+      }
+    }
+
+    logger.error('No working mirror found, check MIRROR_DOMAINS');
+    return false;
+  }
+
+  /**
+   * Follow a redirect seen while scraping
+   * When a page of the current domain ended up on another domain, that domain becomes current.
+   * @param {string} requestedUrl - URL that was requested
+   * @param {string} finalUrl - URL after redirects
+   */
+  async handleRedirect(requestedUrl, finalUrl) {
+    const requestedOrigin = getOrigin(requestedUrl);
+    const finalOrigin = getOrigin(finalUrl);
+
+    if (requestedOrigin === this.currentOrigin && finalOrigin && finalOrigin !== this.currentOrigin) {
+      await this.switchTo(finalOrigin, `${requestedOrigin} redirects to ${finalOrigin}`);
+    }
+  }
+
+  /**
+   * Make a new domain current, persist it and move stored topic URLs over
+   */
+  async switchTo(origin, reason) {
+    const previousOrigin = this.currentOrigin;
+    const knownOrigins = this.getCandidates().filter(candidate => candidate !== origin);
+
+    this.applyOrigin(origin);
+    await this.database.setMeta(ACTIVE_DOMAIN_KEY, origin);
+
+    let rewrittenCount = 0;
+    for (const knownOrigin of knownOrigins) {
+      rewrittenCount += await this.database.rewriteFilmUrls(knownOrigin, origin);
+    }
+
+    logger.success(`Switched site domain from ${previousOrigin} to ${origin} (${rewrittenCount} stored URLs updated)`);
+
+    if (this.onSwitch) {
+      try {
+        await this.onSwitch(previousOrigin, origin, reason);
+      } catch (error) {
+        logger.warn('Domain switch handler failed:', error.message);
+      }
+    }
+  }
+}
+
+export default MirrorManager;
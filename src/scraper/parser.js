@@ -3,10 +3,21 @@
  * Handles parsing of title, metadata, and download links
  */
 
+import { parseMagnet, decodeMagnetEntities } from './magnetParser.js';
+import { parseReleaseName, mergeReleaseInfo } from './releaseParser.js';
 import { createLogger } from '../utils/logger.js';
 
 const logger = createLogger('Parser');
 
+// Magnet URIs end at whitespace, quotes or the end of an HTML tag
+const MAGNET_REGEX = /magnet:\?xt=urn:btih:[^\s"'<>]+/g;
+
+// Forum attachment links, like <a href=".../attachment.php?id=123">Movie.1080p.torrent</a>
+const ATTACHMENT_REGEX = /<a\b[^>]*href="([^"]*attachment\.php\?id=(\d+)[^"]*)"[^>]*>([\s\S]*?)<\/a>/gi;
+
+// Attachments read from one post, so a post full of attachments can't stall the scrape
+const MAX_ATTACHMENTS = 10;
+
 /**
  * Extract film ID from URL
  * URL format: /forums/topic/12345-movie-name/
@@ -47,10 +58,11 @@ export function parseTitle(titleText) {
 
 /**
  * Extract language information from text
+ * @param {string|null} fallback - Returned when the text doesn't name a language
  */
-export function extractLanguage(text) {
+export function extractLanguage(text, fallback = null) {
   const languageMatch = text.match(/\[(Tamil|Telugu|Malayalam|Kannada|Hindi)([^\]]*)\]/i);
-  return languageMatch ? languageMatch[0].replace(/[\[\]]/g, '') : 'Tamil';
+  return languageMatch ? languageMatch[0].replace(/[\[\]]/g, '') : fallback;
 }
 
 /**
@@ -83,6 +95,43 @@ export function extractFileSize(text) {
   return sizeMatch ? sizeMatch[0] : null;
 }
 
+/**
+ * Convert a file size string like "2.3GB" or "700 MB" to bytes
+ * Returns null if the text is not a recognizable size
+ */
+export function parseFileSizeBytes(sizeText) {
+  if (!sizeText) return null;
+
+  const sizeMatch = String(sizeText).match(/(\d+(?:\.\d+)?)\s*(GB|MB|TB|KB)/i);
+  if (!sizeMatch) return null;
+
+  const units = {
+    KB: 1024,
+    MB: 1024 ** 2,
+    GB: 1024 ** 3,
+    TB: 1024 ** 4
+  };
+
+  return Math.round(parseFloat(sizeMatch[1]) * units[sizeMatch[2].toUpperCase()]);
+}
+
+/**
+ * Format a size in bytes the way the forum writes it, like "2.2GB" or "700MB"
+ */
+export function formatFileSize(bytes) {
+  if (!bytes) return null;
+
+  const units = ['TB', 'GB', 'MB', 'KB'];
+  for (let i = 0; i < units.length; i++) {
+    const unitSize = 1024 ** (units.length - i);
+    if (bytes >= unitSize) {
+      return `${parseFloat((bytes / unitSize).toFixed(2))}${units[i]}`;
+    }
+  }
+
+  return `${bytes}B`;
+}
+
 /**
  * Extract codec information
  */
@@ -109,8 +158,8 @@ export function extractAudio(text) {
  * Extract magnet link from text or HTML
  */
 export function extractMagnetLink(text) {
-  const magnetMatch = text.match(/magnet:\?xt=urn:btih:[a-zA-Z0-9]+[^\s"]*/);
-  return magnetMatch ? magnetMatch[0] : null;
+  const magnetMatch = text.match(new RegExp(MAGNET_REGEX.source));
+  return magnetMatch ? decodeMagnetEntities(magnetMatch[0]) : null;
 }
 
 /**
@@ -121,6 +170,136 @@ export function extractDirectLink(text) {
   return directMatch ? directMatch[0] : null;
 }
 
+/**
+ * Get the last line of text before a link, usually the release heading of that download
+ * Example: "Leo (2023) Tamil HQ HDRip - 1080p - x264 - (DD+5.1 - 192Kbps) - 2.5GB - ESub"
+ * @param {string} precedingHtml - Post HTML before the link
+ */
+export function extractHeadingText(precedingHtml) {
+  const lines = decodeMagnetEntities(precedingHtml)
+    .replace(/<[^>]*$/, '') // The link's own opening tag when the text ends inside it
+    .replace(/<br\s*\/?>|<\/(?:p|div|li|h\d)>/gi, '\n')
+    .replace(/<a\b[\s\S]*?<\/a>/gi, '\n')
+    .replace(/<[^>]*>/g, '')
+    .replace(/&nbsp;/gi, ' ')
+    .split('\n')
+    .map(line => line.trim())
+    .filter(line => /[a-z0-9]/i.test(line));
+
+  return lines.length > 0 ? lines[lines.length - 1] : '';
+}
+
+/**
+ * Parse the release details of a download
+ * The file name (magnet or torrent name) is preferred; the heading fills in what it lacks
+ */
+function parseDownloadRelease(fileName, heading) {
+  const headingRelease = parseReleaseName(heading);
+  return fileName ? mergeReleaseInfo(parseReleaseName(fileName), headingRelease) : headingRelease;
+}
+
+/**
+ * Parse the release details of an attachment-only download
+ * The heading above an attachment may describe another release, so audio and
+ * codec only come from the file name and stay empty when it lacks them
+ */
+function parseAttachmentRelease(fileName, heading) {
+  if (!fileName) {
+    return parseDownloadRelease(fileName, heading);
+  }
+
+  const fileRelease = parseReleaseName(fileName);
+  return {
+    ...mergeReleaseInfo(fileRelease, parseReleaseName(heading)),
+    videoCodec: fileRelease.videoCodec,
+    audio: fileRelease.audio
+  };
+}
+
+/**
+ * Find the .torrent attachment links in post HTML
+ * Metadata is read from the link text (usually the file name); only the resolution
+ * falls back to the text before the link
+ * @param {string} content - Post HTML
+ * @param {string} baseUrl - Topic URL, to resolve relative links
+ * @returns {Array} Array of {attachmentId, url, label, heading, resolution, codec, audio}
+ */
+export function extractTorrentAttachments(content, baseUrl) {
+  const attachments = [];
+  const seenIds = new Set();
+
+  for (const match of content.matchAll(ATTACHMENT_REGEX)) {
+    const [, href, attachmentId, labelHtml] = match;
+    const label = decodeMagnetEntities(labelHtml.replace(/<[^>]+>/g, '')).trim();
+
+    // Images are attachments too; only links to torrent files are downloads
+    if (seenIds.has(attachmentId) || (!/\.torrent\b/i.test(label) && !/data-fileext="torrent"/i.test(match[0]))) {
+      continue;
+    }
+    seenIds.add(attachmentId);
+
+    let url;
+    try {
+      url = new URL(decodeMagnetEntities(href), baseUrl).href;
+    } catch (error) {
+      continue;
+    }
+
+    const precedingText = content.substring(Math.max(0, match.index - 500), match.index);
+
+    attachments.push({
+      attachmentId,
+      url,
+      label,
+      heading: extractHeadingText(precedingText),
+      resolution: extractResolution(label) || extractResolution(precedingText),
+      codec: extractCodec(label),
+      audio: extractAudio(label)
+    });
+
+    if (attachments.length >= MAX_ATTACHMENTS) break;
+  }
+
+  return attachments;
+}
+
+/**
+ * Add download options for parsed .torrent attachments
+ * A torrent whose infohash matches a magnet in the post only adds its link to that option
+ * @param {Array} downloads - Download options parsed from the post
+ * @param {Array} torrents - Array of {attachment, torrent} pairs
+ * @returns {Array} The combined download options
+ */
+export function mergeTorrentDownloads(downloads, torrents) {
+  const merged = [...downloads];
+
+  for (const { attachment, torrent } of torrents) {
+    const existing = merged.find(download => download.infoHash === torrent.infoHash);
+
+    if (existing) {
+      existing.torrentUrl = existing.torrentUrl || attachment.url;
+      existing.fileSize = existing.fileSize || formatFileSize(torrent.totalSize);
+      continue;
+    }
+
+    merged.push({
+      resolution: attachment.resolution || extractResolution(torrent.name || '') || 'Unknown',
+      fileSize: formatFileSize(torrent.totalSize),
+      codec: attachment.codec || extractCodec(torrent.name || ''),
+      audio: attachment.audio || extractAudio(torrent.name || ''),
+      magnetLink: torrent.magnetLink,
+      infoHash: torrent.infoHash,
+      displayName: torrent.name,
+      fileCount: torrent.files.length,
+      torrentUrl: attachment.url,
+      directLink: null,
+      release: parseAttachmentRelease(torrent.name, attachment.heading)
+    });
+  }
+
+  return merged;
+}
+
 /**
  * Parse download section for a specific resolution
  * Extracts all relevant information for one quality option
@@ -193,43 +372,61 @@ export function splitByResolution(content) {
 
 /**
  * Parse all download options from film content
+ * Magnets are deduplicated by infohash, since a post often repeats the same
+ * magnet as both the link target and the link text
  */
 export function parseDownloads(content) {
   const downloads = [];
+  const seenHashes = new Set();
 
   // Debug: Log a sample of the content to understand its structure
   logger.debug(`Content sample (first 500 chars): ${content.substring(0, 500)}`);
 
   // New approach: Find all magnet and direct links, then extract associated metadata
-  const magnetRegex = /magnet:\?xt=urn:btih:[a-zA-Z0-9&=%:/.?_+-]+/g;
   const directLinkRegex = /https?:\/\/(?:cyberloom\.best|[\w-]+\.[\w-]+)\/l\/[a-zA-Z0-9]+/g;
 
   // Find all magnet links
-  const magnetMatches = [...content.matchAll(magnetRegex)];
+  const magnetMatches = [...content.matchAll(MAGNET_REGEX)];
   const directMatches = [...content.matchAll(directLinkRegex)];
 
   // Process magnet links
   for (const match of magnetMatches) {
-    const magnetLink = match[0];
+    const magnet = parseMagnet(match[0]);
     const position = match.index;
 
+    if (!magnet) {
+      logger.debug(`Skipping magnet without a valid infohash: ${match[0].substring(0, 80)}`);
+      continue;
+    }
+
+    if (seenHashes.has(magnet.infoHash)) {
+      continue;
+    }
+    seenHashes.add(magnet.infoHash);
+
     // Look backwards in content to find the file size and quality in the preceding 500 chars
     const precedingText = content.substring(Math.max(0, position - 500), position);
 
-    // Extract file size from preceding text (look for patterns like "2.3GB", "700MB", etc.)
+    // Extract file size from preceding text (look for patterns like "2.3GB", "700MB", etc.),
+    // falling back to the exact length in the magnet
     const sizeMatch = precedingText.match(/(\d+(?:\.\d+)?)\s*(GB|MB|TB)/i);
-    const fileSize = sizeMatch ? sizeMatch[0] : null;
+    const fileSize = sizeMatch ? sizeMatch[0] : formatFileSize(magnet.size);
 
-    // Extract resolution/quality from preceding text
-    const resolution = extractResolution(precedingText) || 'Unknown';
+    // Extract resolution/quality from preceding text, or from the magnet's display name
+    const resolution = extractResolution(precedingText) ||
+      (magnet.displayName && extractResolution(magnet.displayName)) ||
+      'Unknown';
 
     downloads.push({
       resolution,
       fileSize,
       codec: extractCodec(precedingText),
       audio: extractAudio(precedingText),
-      magnetLink,
-      directLink: null
+      magnetLink: magnet.uri,
+      infoHash: magnet.infoHash,
+      displayName: magnet.displayName,
+      directLink: null,
+      release: parseDownloadRelease(magnet.displayName, extractHeadingText(precedingText))
     });
   }
 
@@ -261,7 +458,8 @@ export function parseDownloads(content) {
         codec: extractCodec(precedingText),
         audio: extractAudio(precedingText),
         magnetLink: null,
-        directLink
+        directLink,
+        release: parseDownloadRelease(null, extractHeadingText(precedingText))
       });
     }
   }
@@ -277,10 +475,15 @@ export default {
   extractSubtitles,
   extractResolution,
   extractFileSize,
+  parseFileSizeBytes,
+  formatFileSize,
   extractCodec,
   extractAudio,
   extractMagnetLink,
   extractDirectLink,
+  extractHeadingText,
+  extractTorrentAttachments,
+  mergeTorrentDownloads,
   parseDownloadSection,
   splitByResolution,
   parseDownloads
@@ -0,0 +1,87 @@
+/**
+ * Release quality tiers
+ * New films usually appear first as a CAM or PreDVD rip and are later re-posted
+ * as WEB-DL or BluRay; tiers make those releases comparable
+ */
+
+// Worst to best
+export const QUALITY_TIERS = ['CAM', 'PreDVD', 'HDRip', 'WEBRip', 'WEB-DL', 'BluRay'];
+
+// Sources recognized by the release parser, mapped to their tier
+const SOURCE_TIERS = {
+  'CAM': 'CAM',
+  'HQ-CAM': 'CAM',
+  'HDTS': 'CAM',
+  'HDTC': 'CAM',
+  'PreDVD': 'PreDVD',
+  'HDRip': 'HDRip',
+  'DVDRip': 'HDRip',
+  'HDTV': 'HDRip',
+  'WEBRip': 'WEBRip',
+  'WEB-DL': 'WEB-DL',
+  'TRUE WEB-DL': 'WEB-DL',
+  'BluRay': 'BluRay'
+};
+
+/**
+ * Get the tier of a release source like "HQ-CAM" or "TRUE WEB-DL", or null
+ */
+export function getSourceTier(source) {
+  return SOURCE_TIERS[source] || null;
+}
+
+/**
+ * Get the rank of a tier (higher is better), or -1 if unknown
+ */
+export function getTierRank(tier) {
+  return QUALITY_TIERS.indexOf(tier);
+}
+
+/**
+ * Check if a tier is a theater recording (CAM or PreDVD)
+ */
+export function isCamTier(tier) {
+  return tier !== null && getTierRank(tier) !== -1 && getTierRank(tier) <= getTierRank('PreDVD');
+}
+
+/**
+ * Check if a tier is better than another one
+ * An unknown previous tier is not upgraded, so old records don't trigger alerts
+ */
+export function isTierUpgrade(newTier, previousTier) {
+  const previousRank = getTierRank(previousTier);
+  return previousRank !== -1 && getTierRank(newTier) > previousRank;
+}
+
+/**
+ * Get the tier of a download option, falling back to the film's own tier
+ */
+export function getDownloadQualityTier(download, film = null) {
+  return getSourceTier(download.release?.source) || film?.qualityTier || getSourceTier(film?.release?.source);
+}
+
+/**
+ * Get the best tier among a film's download options, or the topic's tier if they have none
+ */
+export function getFilmQualityTier(film) {
+  let bestTier = null;
+
+  for (const download of film.downloads || []) {
+    const tier = getSourceTier(download.release?.source);
+    if (tier && getTierRank(tier) > getTierRank(bestTier)) {
+      bestTier = tier;
+    }
+  }
+
+  return bestTier || getSourceTier(film.release?.source);
+}
+
+export default {
+  QUALITY_TIERS,
+  getSourceTier,
+  getTierRank,
+  isCamTier,
+  isTierUpgrade,
+  getDownloadQualityTier,
+  getFilmQualityTier
+};
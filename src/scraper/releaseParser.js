@@ -0,0 +1,263 @@
+/**
+ * Release name parser
+ * Parses the forum's release naming convention into structured details, e.g.
+ * "Leo (2023) [Tamil + Telugu] TRUE WEB-DL - 2160p - HEVC - 10bit - DV - (DD+5.1 - 640Kbps) - 16GB - ESub"
+ * "www.1TamilMV.haus - Leo.2023.Uncut.1080p.HQ-CAM.x264.AAC2.0-TeamX.mkv"
+ */
+
+// Order matters: more specific patterns come before the ones they contain
+const SOURCES = [
+  { name: 'TRUE WEB-DL', pattern: /\bTRUE[\s._-]*WEB[\s._-]?DL\b/i },
+  { name: 'WEB-DL', pattern: /\bWEB[\s._-]?DL\b/i },
+  { name: 'WEBRip', pattern: /\bWEB[\s._-]?Rip\b/i },
+  { name: 'BluRay', pattern: /\bBlu[\s._-]?Ray\b|\bBD[\s._-]?Rip\b|\bBR[\s._-]?Rip\b/i },
+  { name: 'HDTV', pattern: /\bHDTV(?:Rip)?\b/i },
+  { name: 'DVDRip', pattern: /\bDVD[\s._-]?Rip\b/i },
+  { name: 'HDRip', pattern: /\bHD[\s._-]?Rip\b/i },
+  { name: 'PreDVD', pattern: /\bPre[\s._-]?DVD(?:Rip|Scr)?\b/i },
+  { name: 'HQ-CAM', pattern: /\bHQ[\s._-]?CAM(?:Rip)?\b/i },
+  { name: 'HDTC', pattern: /\bHD[\s._-]?TC\b/i },
+  { name: 'HDTS', pattern: /\bHD[\s._-]?TS\b/i },
+  { name: 'CAM', pattern: /\bCAM(?:Rip)?\b/i }
+];
+
+const EDITIONS = [
+  { name: 'Uncut', pattern: /\bUncut\b/i },
+  { name: 'Extended', pattern: /\bExtended(?:[\s._-]?(?:Cut|Edition))?\b/i },
+  { name: "Director's Cut", pattern: /\bDirector'?s[\s._-]?Cut\b|\bDC\b/i },
+  { name: 'Unrated', pattern: /\bUnrated\b/i },
+  { name: 'Remastered', pattern: /\bRemastered\b/i },
+  { name: 'IMAX', pattern: /\bIMAX\b/i }
+];
+
+// Full names and the abbreviations used in multi-audio lists like "[Tam + Tel + Hin]"
+const LANGUAGES = {
+  Tamil: /\bTam(?:il)?\b/i,
+  Telugu: /\bTel(?:ugu)?\b/i,
+  Hindi: /\bHin(?:di)?\b/i,
+  Malayalam: /\bMal(?:ayalam)?\b/i,
+  Kannada: /\bKan(?:nada)?\b/i,
+  English: /\bEng(?:lish)?\b/i,
+  Bengali: /\bBen(?:gali)?\b/i,
+  Marathi: /\bMarathi\b/i,
+  Punjabi: /\bPunjabi\b/i,
+  Korean: /\bKor(?:ean)?\b/i,
+  Japanese: /\bJap(?:anese)?\b/i,
+  Chinese: /\bChinese\b/i,
+  Spanish: /\bSpanish\b/i,
+  French: /\bFrench\b/i
+};
+
+const VIDEO_CODECS = [
+  { name: 'AV1', pattern: /\bAV1\b/i },
+  { name: 'HEVC', pattern: /\bHEVC\b|\bx[\s.]?265\b|\bH[\s.]?265\b/i },
+  { name: 'AVC', pattern: /\bAVC\b|\bx[\s.]?264\b|\bH[\s.]?264\b/i }
+];
+
+const AUDIO_CODECS = [
+  { name: 'TrueHD', pattern: /\bTrueHD\b/i },
+  { name: 'DTS-HD MA', pattern: /\bDTS[\s.-]?HD[\s.-]?MA\b/i },
+  { name: 'DTS', pattern: /\bDTS\b/i },
+  { name: 'DD+', pattern: /\bDD\+|\bDDP|\bE[\s.-]?AC[\s.-]?3\b/i },
+  { name: 'DD', pattern: /\bDD(?=[\s.]?\d)|\bDD\b|\bAC[\s.-]?3\b/i },
+  { name: 'AAC', pattern: /\bAAC/i },
+  { name: 'FLAC', pattern: /\bFLAC\b/i },
+  { name: 'Opus', pattern: /\bOpus\b/i },
+  { name: 'MP3', pattern: /\bMP3\b/i }
+];
+
+const RESOLUTIONS = [
+  { name: '4K', pattern: /\b(?:4K|2160p|UHD)\b/i },
+  { name: '1080p', pattern: /\b1080[pi]\b/i },
+  { name: '720p', pattern: /\b720p\b/i },
+  { name: '576p', pattern: /\b576p\b/i },
+  { name: '480p', pattern: /\b480p\b/i },
+  { name: '360p', pattern: /\b360p\b/i }
+];
+
+// Name endings that look like "-GROUP" but are part of the release format
+const NOT_UPLOADER_TAGS = new Set(['dl', 'rip', 'cam', 'hd', 'hq', 'sub', 'esub', 'ray', 'tc', 'ts', 'dvd', 'mkv', 'mp4']);
+
+/**
+ * Return the name of the first entry whose pattern matches
+ */
+function findFirst(entries, text) {
+  const entry = entries.find(({ pattern }) => pattern.test(text));
+  return entry ? entry.name : null;
+}
+
+/**
+ * Check if a bracketed word is a group tag rather than a language, quality or format
+ */
+function isGroupTag(tag) {
+  const detailPatterns = [SOURCES, EDITIONS, RESOLUTIONS, VIDEO_CODECS, AUDIO_CODECS]
+    .flat()
+    .map(entry => entry.pattern)
+    .concat(Object.values(LANGUAGES));
+
+  return !NOT_UPLOADER_TAGS.has(tag.toLowerCase()) && !detailPatterns.some(pattern => pattern.test(tag));
+}
+
+/**
+ * Extract the uploader tag and the name without it
+ * Handles a leading site tag ("www.1TamilMV.haus - "), a bracketed group at either end
+ * ("[TeamX] Leo (2023) ...", "Leo.2023.1080p-[TeamX].mkv") and a trailing scene group ("-TeamX.mkv")
+ */
+function extractUploader(name) {
+  const siteMatch = name.match(/^\s*(?:www\.)?([\w-]+)\.[a-z]{2,}\s+-\s+/i);
+  if (siteMatch) {
+    return { uploader: siteMatch[1], rest: name.slice(siteMatch[0].length) };
+  }
+
+  const bracketMatch = name.match(/^\s*\[([A-Za-z][\w.-]{1,19})\][\s._-]*/) ||
+    name.match(/[\s._-]*\[([A-Za-z][\w.-]{1,19})\](?:\.(?:mkv|mp4|avi|torrent))?\s*$/);
+  if (bracketMatch && isGroupTag(bracketMatch[1])) {
+    const rest = name.slice(0, bracketMatch.index) + name.slice(bracketMatch.index + bracketMatch[0].length);
+    return { uploader: bracketMatch[1], rest };
+  }
+
+  const groupMatch = name.match(/-([A-Za-z][\w]{1,19})(?:\.(?:mkv|mp4|avi|torrent))?\s*$/);
+  if (groupMatch && !/\s/.test(name.trim()) && !NOT_UPLOADER_TAGS.has(groupMatch[1].toLowerCase())) {
+    return { uploader: groupMatch[1], rest: name.slice(0, groupMatch.index) };
+  }
+
+  return { uploader: null, rest: name };
+}
+
+/**
+ * Extract the film title and year
+ * Scene-style names use dots instead of spaces, like "Leo.2023.1080p"
+ */
+function extractTitleAndYear(name) {
+  const yearMatch = name.match(/\((\d{4})\)/) || name.match(/(?:^|[\s._[(-])((?:19|20)\d{2})(?=$|[\s._\])-])/);
+  const year = yearMatch ? parseInt(yearMatch[1], 10) : null;
+
+  let title = yearMatch ? name.substring(0, yearMatch.index) : name.split(/[[(]|\b(?:4K|2160p|1080p|720p|480p)\b/i)[0];
+  title = title.replace(/[._]/g, ' ').replace(/\s+/g, ' ').replace(/[\s-]+$/, '').trim();
+
+  return { title: title || null, year };
+}
+
+/**
+ * Extract the audio languages in order of appearance
+ * Bracketed lists and " + " separated runs are read first, since words in the title
+ * can look like language abbreviations
+ */
+function extractLanguages(name) {
+  const groups = [
+    ...name.matchAll(/[[(]([^\])]*)[\])]/g),
+    ...name.matchAll(/\b[A-Za-z]+(?:\s*\+\s*[A-Za-z]+)+\b/g)
+  ].map(match => ({ text: match[1] || match[0], index: match.index }));
+
+  // A single language outside a list is written as a plain word, like "Leo (2023) Tamil HDRip";
+  // abbreviations are only trusted inside lists
+  groups.push({ text: name, index: Infinity, fullNamesOnly: true });
+
+  const languages = [];
+  for (const { text, fullNamesOnly } of groups.sort((a, b) => a.index - b.index)) {
+    const found = Object.entries(LANGUAGES)
+      .map(([language, pattern]) => ({ language, match: text.match(pattern) }))
+      .filter(({ language, match }) => match && (!fullNamesOnly || match[0].length === language.length))
+      .map(({ language, match }) => ({ language, index: match.index }))
+      .sort((a, b) => a.index - b.index);
+
+    for (const { language } of found) {
+      if (!languages.includes(language)) languages.push(language);
+    }
+
+    if (languages.length > 0) break;
+  }
+
+  return languages;
+}
+
+/**
+ * Extract the HDR formats
+ */
+function extractHdr(name) {
+  const formats = [];
+
+  if (/\b(?:DV|DoVi|Dolby[\s._]?Vision)\b/i.test(name)) formats.push('DV');
+  if (/\bHDR10\+|\bHDR10Plus\b/i.test(name)) formats.push('HDR10+');
+  else if (/\bHDR10\b/i.test(name)) formats.push('HDR10');
+  else if (/\bHDR\b/i.test(name)) formats.push('HDR');
+
+  return formats;
+}
+
+/**
+ * Extract the main audio track
+ * @returns {Object|null} {codec, channels, bitrate, atmos}
+ */
+function extractAudioDetails(name) {
+  const codec = findFirst(AUDIO_CODECS, name);
+  const atmos = /\bAtmos\b/i.test(name);
+
+  if (!codec && !atmos) {
+    return null;
+  }
+
+  // Channels usually follow the codec directly, like "DD+5.1" or "AAC2.0"
+  const codecIndex = codec ? name.search(AUDIO_CODECS.find(entry => entry.name === codec).pattern) : 0;
+  const channelsMatch = name.slice(codecIndex).match(/(?:^|[^\d.])([1-7]\.[01])(?![\d.]*p)/);
+  const bitrateMatch = name.match(/(\d{2,4})\s?Kbps/i);
+
+  return {
+    codec,
+    channels: channelsMatch ? channelsMatch[1] : null,
+    bitrate: bitrateMatch ? `${bitrateMatch[1]}Kbps` : null,
+    atmos
+  };
+}
+
+/**
+ * Parse a release name
+ * @param {string} name - Topic title, download heading, magnet display name or torrent name
+ * @returns {Object} {title, year, source, edition, languages, multiAudio, resolution,
+ *   bitDepth, hdr, videoCodec, audio, subtitles, uploader}
+ */
+export function parseReleaseName(name) {
+  const text = String(name || '');
+  const { uploader, rest } = extractUploader(text);
+  const { title, year } = extractTitleAndYear(rest);
+  const languages = extractLanguages(rest);
+  const bitDepthMatch = rest.match(/\b(8|10|12)[\s._-]?bits?\b/i);
+  const subtitleMatch = rest.match(/\b(?:HC[\s-]?)?E[\s-]?Subs?\b/i);
+
+  return {
+    title,
+    year,
+    source: findFirst(SOURCES, rest),
+    edition: findFirst(EDITIONS, rest),
+    languages,
+    multiAudio: languages.length > 1 || /\bMulti[\s._-]?Audio\b/i.test(rest),
+    resolution: findFirst(RESOLUTIONS, rest),
+    bitDepth: bitDepthMatch ? parseInt(bitDepthMatch[1], 10) : null,
+    hdr: extractHdr(rest),
+    videoCodec: findFirst(VIDEO_CODECS, rest),
+    audio: extractAudioDetails(rest),
+    subtitles: subtitleMatch ? subtitleMatch[0] : null,
+    uploader
+  };
+}
+
+/**
+ * Combine two parsed release names, keeping the first one's values where it has them
+ * Used to fill gaps in a short magnet name from the longer heading above the link
+ */
+export function mergeReleaseInfo(primary, fallback) {
+  const merged = { ...fallback };
+
+  for (const [key, value] of Object.entries(primary)) {
+    const isEmpty = value === null || (Array.isArray(value) && value.length === 0);
+    if (!isEmpty) merged[key] = value;
+  }
+
+  merged.multiAudio = primary.multiAudio || fallback.multiAudio;
+  return merged;
+}
+
+export default {
+  parseReleaseName,
+  mergeReleaseInfo
+};
@@ -0,0 +1,150 @@
+/**
+ * HTML snapshot store
+ * Saves scraped pages to a local directory and reads them back for replay mode
+ *
+ * Files:
+ *   listing_<section>_page<N>.html - Full listing page
+ *   film_<id>_content.html         - Main post content of a topic
+ *   film_<id>_meta.json            - Title, poster and URL of a topic
+ *   film_<id>_attachment_<N>.torrent - Torrent file attached to a topic
+ */
+
+import fs from 'fs/promises';
+import { existsSync } from 'fs';
+import path from 'path';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('SnapshotStore');
+
+const DETAIL_CONTENT_PATTERN = /^film_(\d+)_content\.html$/;
+const LISTING_PATTERN = /^listing_(.+)_page(\d+)\.html$/;
+
+class SnapshotStore {
+  constructor(dir) {
+    this.dir = dir;
+  }
+
+  /**
+   * Build the path of a snapshot file
+   */
+  filePath(fileName) {
+    return path.join(this.dir, fileName);
+  }
+
+  /**
+   * Write a snapshot file, ignoring write errors (snapshots are best-effort)
+   */
+  async write(fileName, content) {
+    try {
+      await fs.mkdir(this.dir, { recursive: true });
+      await fs.writeFile(this.filePath(fileName), content, 'utf-8');
+      logger.debug(`Saved snapshot: ${this.filePath(fileName)}`);
+    } catch (error) {
+      logger.debug(`Failed to save snapshot ${fileName}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Read a snapshot file, or null if it doesn't exist
+   * @param {string} encoding - Text encoding, or null to read a Buffer
+   */
+  async read(fileName, encoding = 'utf-8') {
+    const file = this.filePath(fileName);
+    if (!existsSync(file)) {
+      return null;
+    }
+    return await fs.readFile(file, encoding);
+  }
+
+  /**
+   * Save a listing page
+   */
+  async saveListing(section, pageNumber, html) {
+    await this.write(`listing_${section}_page${pageNumber}.html`, html);
+  }
+
+  /**
+   * Load a listing page, or null if there is no snapshot
+   */
+  async loadListing(section, pageNumber) {
+    return await this.read(`listing_${section}_page${pageNumber}.html`);
+  }
+
+  /**
+   * Save the main post of a topic
+   * @param {string} filmId - Topic ID
+   * @param {string} contentHTML - Inner HTML of the post content
+   * @param {Object} meta - {detailUrl, listingTitle, postTitle, posterUrl}
+   */
+  async saveDetail(filmId, contentHTML, meta) {
+    await this.write(`film_${filmId}_content.html`, contentHTML);
+    await this.write(`film_${filmId}_meta.json`, JSON.stringify({ id: filmId, ...meta }, null, 2));
+  }
+
+  /**
+   * Load the main post of a topic
+   * Older snapshots only have the content file, so meta may be empty
+   * @returns {Object|null} {contentHTML, meta}
+   */
+  async loadDetail(filmId) {
+    const contentHTML = await this.read(`film_${filmId}_content.html`);
+    if (contentHTML === null) {
+      return null;
+    }
+
+    const metaJson = await this.read(`film_${filmId}_meta.json`);
+    return {
+      contentHTML,
+      meta: metaJson ? JSON.parse(metaJson) : {}
+    };
+  }
+
+  /**
+   * Save a torrent file attached to a topic
+   */
+  async saveAttachment(filmId, attachmentId, buffer) {
+    await this.write(`film_${filmId}_attachment_${attachmentId}.torrent`, buffer);
+  }
+
+  /**
+   * Load a torrent file attached to a topic, or null if there is no snapshot
+   * @returns {Buffer|null}
+   */
+  async loadAttachment(filmId, attachmentId) {
+    return await this.read(`film_${filmId}_attachment_${attachmentId}.torrent`, null);
+  }
+
+  /**
+   * List the topic IDs that have a detail snapshot
+   */
+  async listDetailIds() {
+    if (!existsSync(this.dir)) {
+      return [];
+    }
+
+    const files = await fs.readdir(this.dir);
+    return files
+      .map(file => file.match(DETAIL_CONTENT_PATTERN))
+      .filter(Boolean)
+      .map(match => match[1]);
+  }
+
+  /**
+   * List the saved listing pages
+   * @returns {Array} Array of {section, pageNumber} objects
+   */
+  async listListings() {
+    if (!existsSync(this.dir)) {
+      return [];
+    }
+
+    const files = await fs.readdir(this.dir);
+    return files
+      .map(file => file.match(LISTING_PATTERN))
+      .filter(Boolean)
+      .map(match => ({ section: match[1], pageNumber: parseInt(match[2], 10) }))
+      .sort((a, b) => a.section.localeCompare(b.section) || a.pageNumber - b.pageNumber);
+  }
+}
+
+export default SnapshotStore;
@@ -0,0 +1,98 @@
+/**
+ * Torrent file parser
+ * Reads the name, size, file list, trackers and infohash of a .torrent file
+ */
+
+import crypto from 'crypto';
+import { decodeAt } from './bencode.js';
+import { buildMagnet } from './magnetParser.js';
+
+const CHAR_D = 0x64; // 'd'
+const CHAR_E = 0x65; // 'e'
+
+/**
+ * Convert a bencoded string to text
+ */
+function toText(value) {
+  return Buffer.isBuffer(value) ? value.toString('utf-8') : null;
+}
+
+/**
+ * Collect announce URLs from both the single and the tiered tracker fields
+ */
+function getTrackers(torrent) {
+  const trackers = [];
+  const add = (value) => {
+    const tracker = toText(value);
+    if (tracker && !trackers.includes(tracker)) trackers.push(tracker);
+  };
+
+  add(torrent.announce);
+  for (const tier of torrent['announce-list'] || []) {
+    for (const tracker of Array.isArray(tier) ? tier : [tier]) {
+      add(tracker);
+    }
+  }
+
+  return trackers;
+}
+
+/**
+ * Parse a .torrent file
+ * The infohash is the SHA-1 of the bencoded "info" dictionary exactly as it appears in the file
+ * @param {Buffer} buffer - Torrent file contents
+ * @returns {Object} {infoHash, name, totalSize, files, trackers, magnetLink}
+ */
+export function parseTorrent(buffer) {
+  if (!Buffer.isBuffer(buffer) || buffer[0] !== CHAR_D) {
+    throw new Error('Not a torrent file');
+  }
+
+  const torrent = {};
+  let infoBytes = null;
+  let position = 1;
+
+  while (buffer[position] !== CHAR_E) {
+    const key = decodeAt(buffer, position);
+    const item = decodeAt(buffer, key.end);
+    const keyText = toText(key.value);
+
+    torrent[keyText] = item.value;
+    if (keyText === 'info') {
+      infoBytes = buffer.subarray(key.end, item.end);
+    }
+
+    position = item.end;
+  }
+
+  const info = torrent.info;
+  if (!infoBytes || !info || typeof info !== 'object') {
+    throw new Error('Torrent has no info dictionary');
+  }
+
+  const name = toText(info['name.utf-8']) || toText(info.name);
+
+  // Multi-file torrents list their files, single-file torrents only have a length
+  const files = Array.isArray(info.files)
+    ? info.files.map(file => ({
+      path: (file['path.utf-8'] || file.path || []).map(toText).join('/'),
+      size: file.length || 0
+    }))
+    : [{ path: name, size: info.length || 0 }];
+
+  const infoHash = crypto.createHash('sha1').update(infoBytes).digest('hex');
+  const trackers = getTrackers(torrent);
+
+  return {
+    infoHash,
+    name,
+    totalSize: files.reduce((total, file) => total + file.size, 0),
+    files,
+    trackers,
+    magnetLink: buildMagnet(infoHash, name, trackers)
+  };
+}
+
+export default {
+  parseTorrent
+};
@@ -1,148 +1,53 @@
 /**
- * JSON file database operations
- * Handles reading and writing to seen_films.json
+ * Storage factory
+ * Creates the storage backend selected in configuration
  */
 
-import fs from 'fs/promises';
-import { existsSync } from 'fs';
-import path from 'path';
 import { createLogger } from '../utils/logger.js';
 
 const logger = createLogger('Database');
 
-class Database {
-  constructor(filePath) {
-    this.filePath = filePath;
-    this.data = null;
-  }
-
-  /**
-   * Initialize the database file if it doesn't exist
-   */
-  async initialize() {
-    try {
-      // Create directory if it doesn't exist
-      const dir = path.dirname(this.filePath);
-      if (!existsSync(dir)) {
-        await fs.mkdir(dir, { recursive: true });
-        logger.info(`Created data directory: ${dir}`);
-      }
-
-      // Create empty database file if it doesn't exist
-      if (!existsSync(this.filePath)) {
-        const initialData = {
-          films: [],
-          lastUpdate: new Date().toISOString()
-        };
-        await fs.writeFile(this.filePath, JSON.stringify(initialData, null, 2));
-        logger.info(`Initialized database file: ${this.filePath}`);
-      }
-
-      // Load data into memory
-      await this.load();
-      logger.success('Database initialized successfully');
-    } catch (error) {
-      logger.error('Failed to initialize database:', error.message);
-      throw error;
-    }
-  }
-
-  /**
-   * Load database from file
-   */
-  async load() {
-    try {
-      const content = await fs.readFile(this.filePath, 'utf-8');
-      this.data = JSON.parse(content);
-      logger.debug(`Loaded ${this.data.films.length} films from database`);
-      return this.data;
-    } catch (error) {
-      logger.error('Failed to load database:', error.message);
-      throw error;
-    }
-  }
-
-  /**
-   * Save database to file
-   */
-  async save() {
-    try {
-      this.data.lastUpdate = new Date().toISOString();
-      await fs.writeFile(this.filePath, JSON.stringify(this.data, null, 2));
-      logger.debug('Database saved successfully');
-    } catch (error) {
-      logger.error('Failed to save database:', error.message);
-      throw error;
+/**
+ * Load the SQLite backend
+ * better-sqlite3 is an optional dependency (it needs Node 20 or later), so a missing driver is reported plainly
+ */
+async function importSqliteStorage() {
+  try {
+    return await import('./sqliteStorage.js');
+  } catch (error) {
+    if (error.code === 'ERR_MODULE_NOT_FOUND' && error.message.includes('better-sqlite3')) {
+      throw new Error(
+        'STORAGE_BACKEND=sqlite needs the optional better-sqlite3 package, which is not installed. ' +
+        'Install it with "npm install better-sqlite3" (Node 20 or later), or use STORAGE_BACKEND=json'
+      );
     }
+    throw error;
   }
+}
 
-  /**
-   * Get all films
-   */
-  getAllFilms() {
-    return this.data.films || [];
-  }
-
-  /**
-   * Add a new film to the database
-   */
-  async addFilm(film) {
-    const filmEntry = {
-      id: film.id,
-      title: film.title,
-      seenAt: new Date().toISOString()
-    };
-
-    this.data.films.push(filmEntry);
-    await this.save();
-    logger.info(`Added film to database: ${film.title} (ID: ${film.id})`);
-  }
-
-  /**
-   * Add multiple films to the database
-   */
-  async addFilms(films) {
-    for (const film of films) {
-      const filmEntry = {
-        id: film.id,
-        title: film.title,
-        seenAt: new Date().toISOString()
-      };
-      this.data.films.push(filmEntry);
+/**
+ * Create the configured storage backend
+ * Backends are loaded lazily so the SQLite driver is only required when it is used
+ * @param {Object} storageConfig - config.storage
+ * @returns {StorageBackend} Uninitialized storage backend
+ */
+export async function createDatabase(storageConfig) {
+  const backend = (storageConfig.backend || 'json').toLowerCase();
+
+  switch (backend) {
+    case 'json': {
+      const { default: JsonStorage } = await import('./jsonStorage.js');
+      logger.info(`Using JSON storage: ${storageConfig.dataPath}`);
+      return new JsonStorage(storageConfig.dataPath);
     }
-
-    await this.save();
-    logger.info(`Added ${films.length} films to database`);
-  }
-
-  /**
-   * Check if a film exists by ID
-   */
-  hasFilm(filmId) {
-    return this.data.films.some(film => film.id === filmId);
-  }
-
-  /**
-   * Clean up old entries to prevent database from growing too large
-   */
-  async cleanup(maxEntries) {
-    if (this.data.films.length > maxEntries) {
-      const removed = this.data.films.length - maxEntries;
-      this.data.films = this.data.films.slice(-maxEntries);
-      await this.save();
-      logger.info(`Cleaned up ${removed} old entries from database`);
+    case 'sqlite': {
+      const { default: SqliteStorage } = await importSqliteStorage();
+      logger.info(`Using SQLite storage: ${storageConfig.sqlitePath}`);
+      return new SqliteStorage(storageConfig.sqlitePath, storageConfig.dataPath);
     }
-  }
-
-  /**
-   * Get database statistics
-   */
-  getStats() {
-    return {
-      totalFilms: this.data.films.length,
-      lastUpdate: this.data.lastUpdate
-    };
+    default:
+      throw new Error(`Unknown storage backend: ${storageConfig.backend}`);
   }
 }
 
-export default Database;
+export default createDatabase;
@@ -3,10 +3,41 @@
  * Filters out films that have already been seen
  */
 
+import { parseTitle } from '../scraper/parser.js';
+import { getInfoHash } from '../scraper/magnetParser.js';
+import { getFilmQualityTier, getTierRank, isTierUpgrade } from '../scraper/qualityTier.js';
 import { createLogger } from '../utils/logger.js';
 
 const logger = createLogger('FilmTracker');
 
+/**
+ * Get the infohash of a download
+ * Records stored before magnets were parsed only have the magnet link
+ */
+function getDownloadInfoHash(download) {
+  return download.infoHash || getInfoHash(download.magnetLink);
+}
+
+/**
+ * Build a key identifying a download option
+ * Magnets are compared by infohash so tracker changes don't count as new rips
+ */
+function getDownloadKey(download) {
+  const infoHash = getDownloadInfoHash(download);
+  if (infoHash) {
+    return `magnet:${infoHash}`;
+  }
+
+  return `${download.resolution}|${download.fileSize}|${download.directLink || ''}`;
+}
+
+/**
+ * Normalize a film title for matching releases posted in different topics
+ */
+function normalizeTitle(title) {
+  return String(title || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
 class FilmTracker {
   constructor(database) {
     this.database = database;
@@ -26,20 +57,153 @@ class FilmTracker {
     return newFilms;
   }
 
+  /**
+   * Collect the infohashes of every stored film's downloads
+   * @param {string} excludeFilmId - Film whose own downloads are left out
+   * @returns {Set} - Hex infohashes
+   */
+  getKnownInfoHashes(excludeFilmId = null) {
+    const infoHashes = new Set();
+
+    for (const film of this.database.getAllFilms()) {
+      if (film.id === excludeFilmId) continue;
+
+      for (const download of film.downloads || []) {
+        const infoHash = getDownloadInfoHash(download);
+        if (infoHash) infoHashes.add(infoHash);
+      }
+    }
+
+    return infoHashes;
+  }
+
+  /**
+   * Drop torrents that were already posted in another topic
+   * The same torrent is often posted in two topics (e.g. a section and a combined pack).
+   * Films that only contain already posted torrents are returned separately,
+   * so they can be marked as seen without being posted again.
+   * @param {Array} films - Scraped films
+   * @returns {Object} {uniqueFilms, duplicateFilms}
+   */
+  removeDuplicateDownloads(films) {
+    const knownHashes = this.getKnownInfoHashes();
+    const uniqueFilms = [];
+    const duplicateFilms = [];
+
+    for (const film of films) {
+      const downloads = film.downloads.filter(download => {
+        const infoHash = getDownloadInfoHash(download);
+        return !infoHash || !knownHashes.has(infoHash);
+      });
+
+      // Later films in the same batch are compared against this one too
+      for (const download of downloads) {
+        const infoHash = getDownloadInfoHash(download);
+        if (infoHash) knownHashes.add(infoHash);
+      }
+
+      if (downloads.length === 0 && film.downloads.length > 0) {
+        logger.info(`Skipping ${film.title}: every torrent was already posted in another topic`);
+        duplicateFilms.push(film);
+      } else {
+        if (downloads.length < film.downloads.length) {
+          logger.info(`Dropped ${film.downloads.length - downloads.length} already posted torrents from ${film.title}`);
+        }
+        uniqueFilms.push({ ...film, downloads });
+      }
+    }
+
+    return { uniqueFilms, duplicateFilms };
+  }
+
+  /**
+   * Find the earlier posted topic that a new film is a quality upgrade of
+   * Films are matched by title and year; the new film must beat the best tier posted so far,
+   * so a second WEB-DL topic after a WEB-DL upgrade isn't announced again.
+   * @param {Object} film - Newly scraped film
+   * @returns {Object|null} {filmId, fromTier, toTier} or null if it isn't an upgrade
+   */
+  findUpgradedRelease(film) {
+    const title = normalizeTitle(film.title);
+    if (!film.qualityTier || !film.year || !title) {
+      return null;
+    }
+
+    let previous = null;
+    for (const stored of this.database.getAllFilms()) {
+      if (stored.id === film.id || stored.backfilled || stored.year !== film.year || normalizeTitle(stored.title) !== title) {
+        continue;
+      }
+
+      const tier = stored.qualityTier || getFilmQualityTier(stored);
+      if (tier && (!previous || getTierRank(tier) >= getTierRank(previous.fromTier))) {
+        previous = { filmId: stored.id, fromTier: tier };
+      }
+    }
+
+    if (!previous || !isTierUpgrade(film.qualityTier, previous.fromTier)) {
+      return null;
+    }
+
+    logger.info(`${film.title} (${film.year}) upgraded from ${previous.fromTier} to ${film.qualityTier}`);
+    return { ...previous, toTier: film.qualityTier };
+  }
+
   /**
    * Mark films as seen by adding them to the database
+   * The full film record is stored, along with the Telegram messages it was posted as
    * @param {Array} films - Array of film objects to mark as seen
+   * @param {Array} deliveries - Delivered posts as {filmId, chatId, success, messageId, kind, sentAt}
    */
-  async markAsSeen(films) {
+  async markAsSeen(films, deliveries = []) {
     if (films.length === 0) {
       logger.debug('No films to mark as seen');
       return;
     }
 
-    await this.database.addFilms(films);
+    const records = films.map(film => ({
+      ...film,
+      messages: deliveries
+        .filter(delivery => delivery.filmId === film.id && delivery.success)
+        .map(delivery => ({
+          chatId: delivery.chatId,
+          messageId: delivery.messageId,
+          kind: delivery.kind,
+          sentAt: delivery.sentAt
+        }))
+    }));
+
+    await this.database.addFilms(records);
     logger.success(`Marked ${films.length} films as seen`);
   }
 
+  /**
+   * Mark listing entries as seen without scraping or posting them (used by backfill)
+   * @param {Array} films - Array of {id, detailUrl, title, section} listing entries
+   */
+  async markAsBackfilled(films) {
+    if (films.length === 0) {
+      return;
+    }
+
+    const records = films.map(film => {
+      const { title, year } = parseTitle(film.title);
+      return {
+        id: film.id,
+        title,
+        year,
+        listingTitle: film.title,
+        detailUrl: film.detailUrl,
+        section: film.section || null,
+        downloads: [],
+        backfilled: true
+      };
+    });
+
+    await this.database.addFilms(records);
+    logger.success(`Backfilled ${films.length} films as seen`);
+  }
+
   /**
    * Check if a specific film has been seen
    * @param {string} filmId - The film ID to check
@@ -49,6 +213,83 @@ class FilmTracker {
     return this.database.hasFilm(filmId);
   }
 
+  /**
+   * Get the stored record of a film, including downloads and sent messages
+   * @param {string} filmId - The film ID
+   * @returns {Object|null} - The stored film or null if unknown
+   */
+  getFilm(filmId) {
+    return this.database.getFilm(filmId);
+  }
+
+  /**
+   * Get recently seen films that should be re-scraped for new download options
+   * Films checked least recently come first, so every recent topic gets its turn.
+   * Films that were never delivered (backfilled, cross-posts, filtered out everywhere)
+   * have no post to update, so they are left out.
+   * @param {number} count - Maximum number of films to return
+   * @param {number} maxAgeHours - Only films seen within this many hours
+   * @returns {Array} - Stored film records
+   */
+  getFilmsToRecheck(count, maxAgeHours) {
+    const cutoff = Date.now() - maxAgeHours * 60 * 60 * 1000;
+
+    return this.database.getAllFilms()
+      .filter(film => film.detailUrl && (film.messages || []).length > 0 && new Date(film.seenAt).getTime() >= cutoff)
+      .sort((a, b) => {
+        const aChecked = new Date(a.lastCheckedAt || a.seenAt).getTime();
+        const bChecked = new Date(b.lastCheckedAt || b.seenAt).getTime();
+        return aChecked - bChecked;
+      })
+      .slice(0, count);
+  }
+
+  /**
+   * Find download options in a freshly scraped film that the stored record doesn't have
+   * Torrents already posted in another topic don't count as new
+   * @param {Object} storedFilm - Film record from the database
+   * @param {Object} freshFilm - Newly scraped film
+   * @returns {Array} - New download options
+   */
+  findNewDownloads(storedFilm, freshFilm) {
+    const knownKeys = new Set((storedFilm.downloads || []).map(getDownloadKey));
+    const candidates = (freshFilm.downloads || []).filter(download => !knownKeys.has(getDownloadKey(download)));
+
+    if (candidates.length === 0) {
+      return candidates;
+    }
+
+    const otherHashes = this.getKnownInfoHashes(storedFilm.id);
+    return candidates.filter(download => {
+      const infoHash = getDownloadInfoHash(download);
+      return !infoHash || !otherHashes.has(infoHash);
+    });
+  }
+
+  /**
+   * Store newly found download options on a film record
+   * @returns {Object} - The updated film record
+   */
+  async recordNewDownloads(storedFilm, freshFilm, newDownloads) {
+    const downloads = [...(storedFilm.downloads || []), ...newDownloads];
+    const updatedFilm = await this.database.updateFilm(storedFilm.id, {
+      downloads,
+      qualityTier: getFilmQualityTier({ downloads, release: storedFilm.release || freshFilm.release }),
+      posterUrl: freshFilm.posterUrl || storedFilm.posterUrl,
+      lastCheckedAt: new Date().toISOString()
+    });
+
+    logger.info(`Recorded ${newDownloads.length} new download options for ${storedFilm.title}`);
+    return updatedFilm;
+  }
+
+  /**
+   * Record that a film was re-checked without finding anything new
+   */
+  async markAsRechecked(filmId) {
+    await this.database.updateFilm(filmId, { lastCheckedAt: new Date().toISOString() });
+  }
+
   /**
    * Get statistics about tracked films
    */
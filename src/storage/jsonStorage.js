@@ -0,0 +1,495 @@
+/**
+ * JSON file storage backend
+ * Handles reading and writing to seen_films.json
+ */
+
+import fs from 'fs/promises';
+import { existsSync } from 'fs';
+import path from 'path';
+import StorageBackend from './storageBackend.js';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('JsonStorage');
+
+class JsonStorage extends StorageBackend {
+  constructor(filePath) {
+    super();
+    this.filePath = filePath;
+    this.data = null;
+    this.filmIndex = new Map(); // Film ID -> film record
+    this.saving = Promise.resolve();
+  }
+
+  /**
+   * Initialize the database file if it doesn't exist
+   */
+  async initialize() {
+    try {
+      // Create directory if it doesn't exist
+      const dir = path.dirname(this.filePath);
+      if (!existsSync(dir)) {
+        await fs.mkdir(dir, { recursive: true });
+        logger.info(`Created data directory: ${dir}`);
+      }
+
+      // Create empty database file if it doesn't exist
+      if (!existsSync(this.filePath)) {
+        const initialData = {
+          films: [],
+          subscribers: [],
+          watchlist: [],
+          outbox: [],
+          meta: {},
+          lastUpdate: new Date().toISOString()
+        };
+        await fs.writeFile(this.filePath, JSON.stringify(initialData, null, 2));
+        logger.info(`Initialized database file: ${this.filePath}`);
+      }
+
+      // Load data into memory
+      await this.load();
+      logger.success('Database initialized successfully');
+    } catch (error) {
+      logger.error('Failed to initialize database:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Load database from file
+   */
+  async load() {
+    try {
+      const content = await fs.readFile(this.filePath, 'utf-8');
+      this.data = JSON.parse(content);
+
+      // Older database files predate subscriber tracking
+      if (!Array.isArray(this.data.subscribers)) {
+        this.data.subscribers = [];
+      }
+      if (!Array.isArray(this.data.watchlist)) {
+        this.data.watchlist = [];
+      }
+      if (!Array.isArray(this.data.outbox)) {
+        this.data.outbox = [];
+      }
+      if (!this.data.meta) {
+        this.data.meta = {};
+      }
+
+      this.rebuildFilmIndex();
+      logger.debug(`Loaded ${this.data.films.length} films from database`);
+      return this.data;
+    } catch (error) {
+      logger.error('Failed to load database:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Rebuild the film ID lookup index
+   */
+  rebuildFilmIndex() {
+    this.filmIndex = new Map(this.data.films.map(film => [film.id, film]));
+  }
+
+  /**
+   * Save database to file
+   * Saves run one after another, each writing the data as it is when its turn comes
+   */
+  save() {
+    const run = this.saving.then(() => this.writeFile());
+    this.saving = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Write the data to a temp file and move it over the database file,
+   * so a crash mid-write never leaves a truncated database behind
+   */
+  async writeFile() {
+    const tempPath = `${this.filePath}.tmp`;
+
+    try {
+      this.data.lastUpdate = new Date().toISOString();
+      await fs.writeFile(tempPath, JSON.stringify(this.data, null, 2));
+      await fs.rename(tempPath, this.filePath);
+      logger.debug('Database saved successfully');
+    } catch (error) {
+      logger.error('Failed to save database:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Get copies of all films
+   */
+  getAllFilms() {
+    return structuredClone(this.data.films || []);
+  }
+
+  /**
+   * Build the stored record for a film
+   * Keeps the full scraped film (downloads, poster, language, subtitles)
+   * plus the Telegram messages it was posted as
+   */
+  buildFilmRecord(film) {
+    return {
+      ...film,
+      messages: film.messages || [],
+      seenAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Add a new film to the database
+   */
+  async addFilm(film) {
+    const record = this.buildFilmRecord(film);
+    this.data.films.push(record);
+    this.filmIndex.set(record.id, record);
+    await this.save();
+    logger.info(`Added film to database: ${film.title} (ID: ${film.id})`);
+  }
+
+  /**
+   * Add multiple films to the database
+   */
+  async addFilms(films) {
+    for (const film of films) {
+      const record = this.buildFilmRecord(film);
+      this.data.films.push(record);
+      this.filmIndex.set(record.id, record);
+    }
+
+    await this.save();
+    logger.info(`Added ${films.length} films to database`);
+  }
+
+  /**
+   * Get a copy of a stored film by ID
+   * Changes to it are only stored through updateFilm, as with the SQLite backend
+   */
+  getFilm(filmId) {
+    const film = this.filmIndex.get(filmId);
+    return film ? structuredClone(film) : null;
+  }
+
+  /**
+   * Update fields of a stored film
+   * @returns {Object|null} - The updated film, or null if it is not stored
+   */
+  async updateFilm(filmId, changes) {
+    const film = this.filmIndex.get(filmId);
+
+    if (!film) {
+      return null;
+    }
+
+    Object.assign(film, changes, { updatedAt: new Date().toISOString() });
+    await this.save();
+    logger.debug(`Updated film in database: ${film.title} (ID: ${filmId})`);
+    return structuredClone(film);
+  }
+
+  /**
+   * Record Telegram messages a stored film was posted as
+   * @param {string} filmId - The film ID
+   * @param {Array} messages - Array of {chatId, messageId} objects
+   */
+  async addFilmMessages(filmId, messages) {
+    const film = this.filmIndex.get(filmId);
+
+    if (!film || messages.length === 0) {
+      return;
+    }
+
+    film.messages = [...(film.messages || []), ...messages];
+    await this.save();
+  }
+
+  /**
+   * Check if a film exists by ID
+   */
+  hasFilm(filmId) {
+    return this.filmIndex.has(filmId);
+  }
+
+  /**
+   * Clean up old entries to prevent database from growing too large
+   */
+  async cleanup(maxEntries) {
+    if (this.data.films.length > maxEntries) {
+      const removed = this.data.films.length - maxEntries;
+      this.data.films = this.data.films.slice(-maxEntries);
+      this.rebuildFilmIndex();
+      await this.save();
+      logger.info(`Cleaned up ${removed} old entries from database`);
+    }
+  }
+
+  /**
+   * Remove a film, so it is treated as unseen again
+   */
+  async removeFilm(filmId) {
+    if (!this.hasFilm(filmId)) {
+      return false;
+    }
+
+    this.data.films = this.data.films.filter(film => film.id !== filmId);
+    this.rebuildFilmIndex();
+    await this.save();
+    logger.info(`Removed film from database (ID: ${filmId})`);
+    return true;
+  }
+
+  /**
+   * Move stored topic URLs from one site origin to another
+   * @returns {number} - Number of updated films
+   */
+  async rewriteFilmUrls(fromOrigin, toOrigin) {
+    let updated = 0;
+
+    for (const film of this.data.films) {
+      if (film.detailUrl && film.detailUrl.startsWith(fromOrigin)) {
+        film.detailUrl = toOrigin + film.detailUrl.slice(fromOrigin.length);
+        updated++;
+      }
+    }
+
+    if (updated > 0) {
+      await this.save();
+      logger.info(`Rewrote ${updated} film URLs from ${fromOrigin} to ${toOrigin}`);
+    }
+
+    return updated;
+  }
+
+  /**
+   * Find the stored record of a subscriber, for changes made here
+   */
+  findSubscriber(chatId) {
+    return this.data.subscribers.find(sub => sub.chatId === String(chatId)) || null;
+  }
+
+  /**
+   * Get a subscriber by chat ID
+   */
+  getSubscriber(chatId) {
+    const subscriber = this.findSubscriber(chatId);
+    return subscriber ? structuredClone(subscriber) : null;
+  }
+
+  /**
+   * Get all subscribers that should receive film updates
+   */
+  getActiveSubscribers() {
+    return structuredClone(this.data.subscribers.filter(sub => sub.active));
+  }
+
+  /**
+   * Add a subscriber, or reactivate one that previously left
+   * @param {Object} chat - {chatId, type, title}
+   * @returns {boolean} - False if the chat was already an active subscriber
+   */
+  async addSubscriber(chat) {
+    const existing = this.findSubscriber(chat.chatId);
+
+    if (existing && existing.active) {
+      return false;
+    }
+
+    if (existing) {
+      existing.active = true;
+      existing.type = chat.type || existing.type;
+      existing.title = chat.title || existing.title;
+      existing.subscribedAt = new Date().toISOString();
+      delete existing.removedAt;
+      delete existing.removedReason;
+    } else {
+      this.data.subscribers.push({
+        chatId: String(chat.chatId),
+        type: chat.type || null,
+        title: chat.title || null,
+        active: true,
+        subscribedAt: new Date().toISOString()
+      });
+    }
+
+    await this.save();
+    logger.info(`Added subscriber: ${chat.title || chat.chatId} (${chat.chatId})`);
+    return true;
+  }
+
+  /**
+   * Deactivate a subscriber
+   * @param {string} chatId - The chat to remove
+   * @param {string} reason - Why it was removed (e.g. 'unsubscribed', 'blocked')
+   * @returns {boolean} - False if the chat was not an active subscriber
+   */
+  async removeSubscriber(chatId, reason = 'unsubscribed') {
+    const existing = this.findSubscriber(chatId);
+
+    if (!existing || !existing.active) {
+      return false;
+    }
+
+    existing.active = false;
+    existing.removedAt = new Date().toISOString();
+    existing.removedReason = reason;
+
+    await this.save();
+    logger.info(`Removed subscriber ${chatId} (${reason})`);
+    return true;
+  }
+
+  /**
+   * Update the delivery filters for a subscriber
+   * @returns {boolean} - False if the chat is not a subscriber
+   */
+  async updateSubscriberFilters(chatId, filters) {
+    const existing = this.findSubscriber(chatId);
+
+    if (!existing) {
+      return false;
+    }
+
+    existing.filters = filters;
+    await this.save();
+    logger.info(`Updated filters for subscriber ${chatId}`);
+    return true;
+  }
+
+  /**
+   * Get all watchlist keywords for a user
+   */
+  getWatchlist(userId) {
+    return structuredClone(this.data.watchlist.filter(entry => entry.userId === String(userId)));
+  }
+
+  /**
+   * Get every watchlist entry across all users
+   */
+  getAllWatchlistEntries() {
+    return structuredClone(this.data.watchlist);
+  }
+
+  /**
+   * Add a keyword to a user's watchlist
+   * @returns {boolean} - False if the user already watches this keyword
+   */
+  async addWatchKeyword(userId, keyword) {
+    const normalized = keyword.trim().toLowerCase();
+    const exists = this.getWatchlist(userId).some(entry => entry.keyword === normalized);
+
+    if (exists) {
+      return false;
+    }
+
+    this.data.watchlist.push({
+      userId: String(userId),
+      keyword: normalized,
+      createdAt: new Date().toISOString()
+    });
+
+    await this.save();
+    logger.info(`User ${userId} is now watching "${normalized}"`);
+    return true;
+  }
+
+  /**
+   * Remove a keyword from a user's watchlist
+   * @param {string|null} keyword - Keyword to remove, or null to clear the whole list
+   * @returns {number} - Number of removed entries
+   */
+  async removeWatchKeyword(userId, keyword = null) {
+    const normalized = keyword ? keyword.trim().toLowerCase() : null;
+    const before = this.data.watchlist.length;
+
+    this.data.watchlist = this.data.watchlist.filter(entry =>
+      entry.userId !== String(userId) || (normalized !== null && entry.keyword !== normalized)
+    );
+
+    const removed = before - this.data.watchlist.length;
+    if (removed > 0) {
+      await this.save();
+      logger.info(`Removed ${removed} watchlist entries for user ${userId}`);
+    }
+
+    return removed;
+  }
+
+  /**
+   * Get every pending post, oldest first
+   */
+  getOutbox() {
+    return structuredClone(this.data.outbox);
+  }
+
+  /**
+   * Check if a stored pending post has this film, chat and kind
+   * Entries stored before updates went through the outbox are film posts
+   */
+  isOutboxEntry(entry, filmId, chatId, kind) {
+    return entry.filmId === filmId && entry.chatId === chatId && (entry.kind || 'film') === kind;
+  }
+
+  /**
+   * Add or replace a pending post, keyed by film, chat and kind
+   */
+  async saveOutboxEntry(entry) {
+    const index = this.data.outbox.findIndex(e => this.isOutboxEntry(e, entry.filmId, entry.chatId, entry.kind || 'film'));
+
+    if (index === -1) {
+      this.data.outbox.push(entry);
+    } else {
+      this.data.outbox[index] = entry;
+    }
+
+    await this.save();
+  }
+
+  /**
+   * Remove a pending post
+   * @returns {boolean} - False if there was no such post
+   */
+  async removeOutboxEntry(filmId, chatId, kind = 'film') {
+    const before = this.data.outbox.length;
+    this.data.outbox = this.data.outbox.filter(e => !this.isOutboxEntry(e, filmId, chatId, kind));
+
+    if (this.data.outbox.length === before) {
+      return false;
+    }
+
+    await this.save();
+    return true;
+  }
+
+  /**
+   * Get a stored setting
+   */
+  getMeta(key) {
+    return this.data.meta[key] ?? null;
+  }
+
+  /**
+   * Store a setting
+   */
+  async setMeta(key, value) {
+    this.data.meta[key] = value;
+    await this.save();
+  }
+
+  /**
+   * Get database statistics
+   */
+  getStats() {
+    return {
+      totalFilms: this.data.films.length,
+      activeSubscribers: this.getActiveSubscribers().length,
+      lastUpdate: this.data.lastUpdate
+    };
+  }
+}
+
+export default JsonStorage;
@@ -0,0 +1,548 @@
+/**
+ * SQLite storage backend
+ * Stores films, subscribers, watchlists and pending posts in a SQLite database with indexed lookups
+ */
+
+import fs from 'fs/promises';
+import { existsSync } from 'fs';
+import path from 'path';
+import BetterSqlite3 from 'better-sqlite3';
+import StorageBackend from './storageBackend.js';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('SqliteStorage');
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS films (
+    seq INTEGER PRIMARY KEY AUTOINCREMENT,
+    id TEXT NOT NULL UNIQUE,
+    title TEXT,
+    data TEXT NOT NULL,
+    seen_at TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS subscribers (
+    chat_id TEXT PRIMARY KEY,
+    active INTEGER NOT NULL DEFAULT 1,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_subscribers_active ON subscribers (active);
+
+  CREATE TABLE IF NOT EXISTS watchlist (
+    user_id TEXT NOT NULL,
+    keyword TEXT NOT NULL,
+    created_at TEXT NOT NULL,
+    PRIMARY KEY (user_id, keyword)
+  );
+
+  CREATE TABLE IF NOT EXISTS outbox (
+    film_id TEXT NOT NULL,
+    chat_id TEXT NOT NULL,
+    kind TEXT NOT NULL DEFAULT 'film',
+    data TEXT NOT NULL,
+    created_at TEXT NOT NULL,
+    PRIMARY KEY (film_id, chat_id, kind)
+  );
+
+  CREATE TABLE IF NOT EXISTS meta (
+    key TEXT PRIMARY KEY,
+    value TEXT
+  );
+`;
+
+class SqliteStorage extends StorageBackend {
+  /**
+   * @param {string} filePath - Path to the SQLite database file
+   * @param {string} jsonPath - Path to a legacy seen_films.json to migrate from
+   */
+  constructor(filePath, jsonPath = null) {
+    super();
+    this.filePath = filePath;
+    this.jsonPath = jsonPath;
+    this.db = null;
+    this.statements = null;
+  }
+
+  /**
+   * Open the database, create tables and migrate legacy JSON data
+   */
+  async initialize() {
+    try {
+      // Create directory if it doesn't exist
+      const dir = path.dirname(this.filePath);
+      if (!existsSync(dir)) {
+        await fs.mkdir(dir, { recursive: true });
+        logger.info(`Created data directory: ${dir}`);
+      }
+
+      this.db = new BetterSqlite3(this.filePath);
+      this.db.pragma('journal_mode = WAL');
+      this.db.exec(SCHEMA);
+      this.prepareStatements();
+
+      await this.migrateFromJson();
+
+      logger.success(`SQLite database initialized: ${this.filePath}`);
+    } catch (error) {
+      logger.error('Failed to initialize SQLite database:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Prepare frequently used statements
+   */
+  prepareStatements() {
+    this.statements = {
+      insertFilm: this.db.prepare(
+        'INSERT OR REPLACE INTO films (id, title, data, seen_at) VALUES (@id, @title, @data, @seenAt)'
+      ),
+      getFilm: this.db.prepare('SELECT data FROM films WHERE id = ?'),
+      hasFilm: this.db.prepare('SELECT 1 FROM films WHERE id = ?'),
+      updateFilm: this.db.prepare('UPDATE films SET title = @title, data = @data WHERE id = @id'),
+      deleteFilm: this.db.prepare('DELETE FROM films WHERE id = ?'),
+      allFilms: this.db.prepare('SELECT data FROM films ORDER BY seq'),
+      countFilms: this.db.prepare('SELECT COUNT(*) AS count FROM films'),
+      getSubscriber: this.db.prepare('SELECT data FROM subscribers WHERE chat_id = ?'),
+      activeSubscribers: this.db.prepare('SELECT data FROM subscribers WHERE active = 1 ORDER BY rowid'),
+      upsertSubscriber: this.db.prepare(
+        'INSERT OR REPLACE INTO subscribers (chat_id, active, data) VALUES (@chatId, @active, @data)'
+      ),
+      getWatchlist: this.db.prepare('SELECT * FROM watchlist WHERE user_id = ? ORDER BY created_at'),
+      allWatchlist: this.db.prepare('SELECT * FROM watchlist ORDER BY created_at'),
+      insertWatch: this.db.prepare(
+        'INSERT OR IGNORE INTO watchlist (user_id, keyword, created_at) VALUES (?, ?, ?)'
+      ),
+      deleteWatch: this.db.prepare('DELETE FROM watchlist WHERE user_id = ? AND keyword = ?'),
+      clearWatchlist: this.db.prepare('DELETE FROM watchlist WHERE user_id = ?'),
+      allOutbox: this.db.prepare('SELECT data FROM outbox ORDER BY created_at, rowid'),
+      upsertOutbox: this.db.prepare(
+        'INSERT OR REPLACE INTO outbox (film_id, chat_id, kind, data, created_at) ' +
+        'VALUES (@filmId, @chatId, @kind, @data, @createdAt)'
+      ),
+      deleteOutbox: this.db.prepare('DELETE FROM outbox WHERE film_id = ? AND chat_id = ? AND kind = ?'),
+      getMeta: this.db.prepare('SELECT value FROM meta WHERE key = ?'),
+      setMeta: this.db.prepare('INSERT OR REPLACE INTO meta (key, value) VALUES (?, ?)')
+    };
+  }
+
+  /**
+   * Import an existing seen_films.json the first time the SQLite database is used
+   */
+  async migrateFromJson() {
+    if (!this.jsonPath || !existsSync(this.jsonPath)) {
+      return;
+    }
+
+    if (this.statements.getMeta.get('json_migrated_at')) {
+      return;
+    }
+
+    logger.info(`Migrating JSON database from ${this.jsonPath}...`);
+
+    const content = await fs.readFile(this.jsonPath, 'utf-8');
+    const data = JSON.parse(content);
+    const films = data.films || [];
+    const subscribers = data.subscribers || [];
+    const watchlist = data.watchlist || [];
+    const outbox = data.outbox || [];
+
+    const migrate = this.db.transaction(() => {
+      for (const film of films) {
+        this.statements.insertFilm.run(this.toFilmRow({
+          ...film,
+          messages: film.messages || [],
+          seenAt: film.seenAt || new Date().toISOString()
+        }));
+      }
+      for (const subscriber of subscribers) {
+        this.writeSubscriber(subscriber);
+      }
+      for (const entry of watchlist) {
+        this.statements.insertWatch.run(entry.userId, entry.keyword, entry.createdAt);
+      }
+      for (const entry of outbox) {
+        this.writeOutboxEntry(entry);
+      }
+      this.statements.setMeta.run('json_migrated_at', new Date().toISOString());
+    });
+    migrate();
+
+    logger.success(
+      `Migrated ${films.length} films, ${subscribers.length} subscribers and ` +
+      `${watchlist.length} watchlist entries from JSON`
+    );
+  }
+
+  /**
+   * Close the database connection
+   */
+  async close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+      logger.info('SQLite database closed');
+    }
+  }
+
+  /**
+   * Convert a film record to statement parameters
+   */
+  toFilmRow(record) {
+    return {
+      id: record.id,
+      title: record.title || null,
+      data: JSON.stringify(record),
+      seenAt: record.seenAt
+    };
+  }
+
+  /**
+   * Store a subscriber record
+   */
+  writeSubscriber(subscriber) {
+    this.statements.upsertSubscriber.run({
+      chatId: subscriber.chatId,
+      active: subscriber.active ? 1 : 0,
+      data: JSON.stringify(subscriber)
+    });
+  }
+
+  /**
+   * Store a pending post
+   */
+  writeOutboxEntry(entry) {
+    this.statements.upsertOutbox.run({
+      filmId: entry.filmId,
+      chatId: entry.chatId,
+      kind: entry.kind || 'film',
+      data: JSON.stringify(entry),
+      createdAt: entry.createdAt
+    });
+  }
+
+  /**
+   * Get all films
+   */
+  getAllFilms() {
+    return this.statements.allFilms.all().map(row => JSON.parse(row.data));
+  }
+
+  /**
+   * Build the stored record for a film
+   */
+  buildFilmRecord(film) {
+    return {
+      ...film,
+      messages: film.messages || [],
+      seenAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Add a new film to the database
+   */
+  async addFilm(film) {
+    this.statements.insertFilm.run(this.toFilmRow(this.buildFilmRecord(film)));
+    this.statements.setMeta.run('last_update', new Date().toISOString());
+    logger.info(`Added film to database: ${film.title} (ID: ${film.id})`);
+  }
+
+  /**
+   * Add multiple films to the database
+   */
+  async addFilms(films) {
+    const insertAll = this.db.transaction((records) => {
+      for (const record of records) {
+        this.statements.insertFilm.run(this.toFilmRow(record));
+      }
+    });
+    insertAll(films.map(film => this.buildFilmRecord(film)));
+    this.statements.setMeta.run('last_update', new Date().toISOString());
+
+    logger.info(`Added ${films.length} films to database`);
+  }
+
+  /**
+   * Get a stored film by ID
+   */
+  getFilm(filmId) {
+    const row = this.statements.getFilm.get(filmId);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  /**
+   * Update fields of a stored film
+   */
+  async updateFilm(filmId, changes) {
+    const film = this.getFilm(filmId);
+
+    if (!film) {
+      return null;
+    }
+
+    Object.assign(film, changes, { updatedAt: new Date().toISOString() });
+    this.statements.updateFilm.run({ id: filmId, title: film.title || null, data: JSON.stringify(film) });
+    logger.debug(`Updated film in database: ${film.title} (ID: ${filmId})`);
+    return film;
+  }
+
+  /**
+   * Record Telegram messages a stored film was posted as
+   */
+  async addFilmMessages(filmId, messages) {
+    const film = this.getFilm(filmId);
+
+    if (!film || messages.length === 0) {
+      return;
+    }
+
+    film.messages = [...(film.messages || []), ...messages];
+    this.statements.updateFilm.run({ id: filmId, title: film.title || null, data: JSON.stringify(film) });
+  }
+
+  /**
+   * Check if a film exists by ID (indexed lookup)
+   */
+  hasFilm(filmId) {
+    return this.statements.hasFilm.get(filmId) !== undefined;
+  }
+
+  /**
+   * Clean up old entries to prevent database from growing too large
+   */
+  async cleanup(maxEntries) {
+    const { count } = this.statements.countFilms.get();
+
+    if (count > maxEntries) {
+      const removed = count - maxEntries;
+      this.db.prepare(
+        'DELETE FROM films WHERE seq IN (SELECT seq FROM films ORDER BY seq LIMIT ?)'
+      ).run(removed);
+      logger.info(`Cleaned up ${removed} old entries from database`);
+    }
+  }
+
+  /**
+   * Remove a film, so it is treated as unseen again
+   */
+  async removeFilm(filmId) {
+    const { changes } = this.statements.deleteFilm.run(filmId);
+    if (changes > 0) {
+      logger.info(`Removed film from database (ID: ${filmId})`);
+    }
+    return changes > 0;
+  }
+
+  /**
+   * Move stored topic URLs from one site origin to another
+   */
+  async rewriteFilmUrls(fromOrigin, toOrigin) {
+    const rewriteAll = this.db.transaction(() => {
+      let updated = 0;
+
+      for (const film of this.getAllFilms()) {
+        if (film.detailUrl && film.detailUrl.startsWith(fromOrigin)) {
+          film.detailUrl = toOrigin + film.detailUrl.slice(fromOrigin.length);
+          this.statements.updateFilm.run({ id: film.id, title: film.title || null, data: JSON.stringify(film) });
+          updated++;
+        }
+      }
+
+      return updated;
+    });
+
+    const updated = rewriteAll();
+    if (updated > 0) {
+      logger.info(`Rewrote ${updated} film URLs from ${fromOrigin} to ${toOrigin}`);
+    }
+
+    return updated;
+  }
+
+  /**
+   * Get a subscriber by chat ID
+   */
+  getSubscriber(chatId) {
+    const row = this.statements.getSubscriber.get(String(chatId));
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  /**
+   * Get all subscribers that should receive film updates
+   */
+  getActiveSubscribers() {
+    return this.statements.activeSubscribers.all().map(row => JSON.parse(row.data));
+  }
+
+  /**
+   * Add a subscriber, or reactivate one that previously left
+   */
+  async addSubscriber(chat) {
+    const existing = this.getSubscriber(chat.chatId);
+
+    if (existing && existing.active) {
+      return false;
+    }
+
+    if (existing) {
+      existing.active = true;
+      existing.type = chat.type || existing.type;
+      existing.title = chat.title || existing.title;
+      existing.subscribedAt = new Date().toISOString();
+      delete existing.removedAt;
+      delete existing.removedReason;
+      this.writeSubscriber(existing);
+    } else {
+      this.writeSubscriber({
+        chatId: String(chat.chatId),
+        type: chat.type || null,
+        title: chat.title || null,
+        active: true,
+        subscribedAt: new Date().toISOString()
+      });
+    }
+
+    logger.info(`Added subscriber: ${chat.title || chat.chatId} (${chat.chatId})`);
+    return true;
+  }
+
+  /**
+   * Deactivate a subscriber
+   */
+  async removeSubscriber(chatId, reason = 'unsubscribed') {
+    const existing = this.getSubscriber(chatId);
+
+    if (!existing || !existing.active) {
+      return false;
+    }
+
+    existing.active = false;
+    existing.removedAt = new Date().toISOString();
+    existing.removedReason = reason;
+    this.writeSubscriber(existing);
+
+    logger.info(`Removed subscriber ${chatId} (${reason})`);
+    return true;
+  }
+
+  /**
+   * Update the delivery filters for a subscriber
+   */
+  async updateSubscriberFilters(chatId, filters) {
+    const existing = this.getSubscriber(chatId);
+
+    if (!existing) {
+      return false;
+    }
+
+    existing.filters = filters;
+    this.writeSubscriber(existing);
+    logger.info(`Updated filters for subscriber ${chatId}`);
+    return true;
+  }
+
+  /**
+   * Convert a watchlist row to an entry
+   */
+  toWatchlistEntry(row) {
+    return {
+      userId: row.user_id,
+      keyword: row.keyword,
+      createdAt: row.created_at
+    };
+  }
+
+  /**
+   * Get all watchlist keywords for a user
+   */
+  getWatchlist(userId) {
+    return this.statements.getWatchlist.all(String(userId)).map(row => this.toWatchlistEntry(row));
+  }
+
+  /**
+   * Get every watchlist entry across all users
+   */
+  getAllWatchlistEntries() {
+    return this.statements.allWatchlist.all().map(row => this.toWatchlistEntry(row));
+  }
+
+  /**
+   * Add a keyword to a user's watchlist
+   */
+  async addWatchKeyword(userId, keyword) {
+    const normalized = keyword.trim().toLowerCase();
+    const result = this.statements.insertWatch.run(String(userId), normalized, new Date().toISOString());
+
+    if (result.changes === 0) {
+      return false;
+    }
+
+    logger.info(`User ${userId} is now watching "${normalized}"`);
+    return true;
+  }
+
+  /**
+   * Remove a keyword from a user's watchlist
+   */
+  async removeWatchKeyword(userId, keyword = null) {
+    const result = keyword
+      ? this.statements.deleteWatch.run(String(userId), keyword.trim().toLowerCase())
+      : this.statements.clearWatchlist.run(String(userId));
+
+    if (result.changes > 0) {
+      logger.info(`Removed ${result.changes} watchlist entries for user ${userId}`);
+    }
+
+    return result.changes;
+  }
+
+  /**
+   * Get every pending post, oldest first
+   */
+  getOutbox() {
+    return this.statements.allOutbox.all().map(row => JSON.parse(row.data));
+  }
+
+  /**
+   * Add or replace a pending post, keyed by film, chat and kind
+   */
+  async saveOutboxEntry(entry) {
+    this.writeOutboxEntry(entry);
+  }
+
+  /**
+   * Remove a pending post
+   */
+  async removeOutboxEntry(filmId, chatId, kind = 'film') {
+    const { changes } = this.statements.deleteOutbox.run(filmId, chatId, kind);
+    return changes > 0;
+  }
+
+  /**
+   * Get a stored setting
+   */
+  getMeta(key) {
+    return this.statements.getMeta.get(key)?.value ?? null;
+  }
+
+  /**
+   * Store a setting
+   */
+  async setMeta(key, value) {
+    this.statements.setMeta.run(key, value);
+  }
+
+  /**
+   * Get database statistics
+   */
+  getStats() {
+    return {
+      totalFilms: this.statements.countFilms.get().count,
+      activeSubscribers: this.getActiveSubscribers().length,
+      lastUpdate: this.statements.getMeta.get('last_update')?.value || null
+    };
+  }
+}
+
+export default SqliteStorage;
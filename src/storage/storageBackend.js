@@ -0,0 +1,224 @@
+/**
+ * Storage backend interface
+ * Every storage implementation (JSON file, SQLite) extends this class
+ * and implements the methods below with the same semantics.
+ * Getters return copies: changing a returned record or list never changes
+ * what is stored, only the write methods do
+ */
+
+class StorageBackend {
+  /**
+   * Throw for methods a backend does not implement
+   */
+  notImplemented(method) {
+    throw new Error(`${this.constructor.name} does not implement ${method}()`);
+  }
+
+  /**
+   * Prepare the storage (create files/tables, load data)
+   */
+  async initialize() {
+    this.notImplemented('initialize');
+  }
+
+  /**
+   * Release any open handles
+   */
+  async close() {}
+
+  // Films
+
+  /**
+   * Get all stored films, oldest first
+   */
+  getAllFilms() {
+    this.notImplemented('getAllFilms');
+  }
+
+  /**
+   * Add a new film to the storage
+   */
+  async addFilm(film) {
+    this.notImplemented('addFilm');
+  }
+
+  /**
+   * Add multiple films to the storage
+   */
+  async addFilms(films) {
+    this.notImplemented('addFilms');
+  }
+
+  /**
+   * Get a stored film by ID, or null
+   */
+  getFilm(filmId) {
+    this.notImplemented('getFilm');
+  }
+
+  /**
+   * Update fields of a stored film
+   * @returns {Object|null} - The updated film, or null if it is not stored
+   */
+  async updateFilm(filmId, changes) {
+    this.notImplemented('updateFilm');
+  }
+
+  /**
+   * Record Telegram messages a stored film was posted as
+   */
+  async addFilmMessages(filmId, messages) {
+    this.notImplemented('addFilmMessages');
+  }
+
+  /**
+   * Check if a film exists by ID
+   */
+  hasFilm(filmId) {
+    this.notImplemented('hasFilm');
+  }
+
+  /**
+   * Keep only the most recent films
+   */
+  async cleanup(maxEntries) {
+    this.notImplemented('cleanup');
+  }
+
+  /**
+   * Remove a film, so it is treated as unseen again
+   * @returns {boolean} - False if the film wasn't stored
+   */
+  async removeFilm(filmId) {
+    this.notImplemented('removeFilm');
+  }
+
+  /**
+   * Move stored topic URLs from one site origin to another
+   * @returns {number} - Number of updated films
+   */
+  async rewriteFilmUrls(fromOrigin, toOrigin) {
+    this.notImplemented('rewriteFilmUrls');
+  }
+
+  // Subscribers
+
+  /**
+   * Get a subscriber by chat ID, or null
+   */
+  getSubscriber(chatId) {
+    this.notImplemented('getSubscriber');
+  }
+
+  /**
+   * Get all subscribers that should receive film updates
+   */
+  getActiveSubscribers() {
+    this.notImplemented('getActiveSubscribers');
+  }
+
+  /**
+   * Add a subscriber, or reactivate one that previously left
+   * @returns {boolean} - False if the chat was already an active subscriber
+   */
+  async addSubscriber(chat) {
+    this.notImplemented('addSubscriber');
+  }
+
+  /**
+   * Deactivate a subscriber
+   * @returns {boolean} - False if the chat was not an active subscriber
+   */
+  async removeSubscriber(chatId, reason) {
+    this.notImplemented('removeSubscriber');
+  }
+
+  /**
+   * Update the delivery filters for a subscriber
+   * @returns {boolean} - False if the chat is not a subscriber
+   */
+  async updateSubscriberFilters(chatId, filters) {
+    this.notImplemented('updateSubscriberFilters');
+  }
+
+  // Watchlist
+
+  /**
+   * Get all watchlist keywords for a user
+   */
+  getWatchlist(userId) {
+    this.notImplemented('getWatchlist');
+  }
+
+  /**
+   * Get every watchlist entry across all users
+   */
+  getAllWatchlistEntries() {
+    this.notImplemented('getAllWatchlistEntries');
+  }
+
+  /**
+   * Add a keyword to a user's watchlist
+   * @returns {boolean} - False if the user already watches this keyword
+   */
+  async addWatchKeyword(userId, keyword) {
+    this.notImplemented('addWatchKeyword');
+  }
+
+  /**
+   * Remove a keyword (or every keyword when null) from a user's watchlist
+   * @returns {number} - Number of removed entries
+   */
+  async removeWatchKeyword(userId, keyword) {
+    this.notImplemented('removeWatchKeyword');
+  }
+
+  // Outbox
+
+  /**
+   * Get every pending post (films and updates), oldest first
+   */
+  getOutbox() {
+    this.notImplemented('getOutbox');
+  }
+
+  /**
+   * Add or replace a pending post, keyed by film, chat and kind ('film' or 'update')
+   */
+  async saveOutboxEntry(entry) {
+    this.notImplemented('saveOutboxEntry');
+  }
+
+  /**
+   * Remove a pending post
+   * @returns {boolean} - False if there was no such post
+   */
+  async removeOutboxEntry(filmId, chatId, kind = 'film') {
+    this.notImplemented('removeOutboxEntry');
+  }
+
+  // Metadata
+
+  /**
+   * Get a stored setting, or null
+   */
+  getMeta(key) {
+    this.notImplemented('getMeta');
+  }
+
+  /**
+   * Store a setting
+   */
+  async setMeta(key, value) {
+    this.notImplemented('setMeta');
+  }
+
+  /**
+   * Get storage statistics
+   */
+  getStats() {
+    this.notImplemented('getStats');
+  }
+}
+
+export default StorageBackend;
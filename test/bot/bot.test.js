@@ -0,0 +1,79 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { GrammyError, HttpError } from 'grammy';
+import TelegramBot from '../../src/bot/bot.js';
+
+const film = { id: '101', title: 'Leo' };
+
+function telegramError(errorCode) {
+  return new GrammyError('Call to sendMessage failed', { ok: false, error_code: errorCode, description: 'error' }, 'sendMessage', {});
+}
+
+/**
+ * Create a bot whose sendMessage answers from a list of results (errors are thrown)
+ */
+function createBot(results, outbox = null) {
+  const telegramBot = new TelegramBot({ telegram: { botToken: 'token' } }, null);
+  const sent = [];
+  const queued = [];
+
+  telegramBot.delay = async () => {};
+  telegramBot.outbox = outbox && {
+    async enqueueLinks(queuedFilm, chatId, replyToMessageId, texts) {
+      queued.push({ chatId, replyToMessageId, texts });
+    }
+  };
+  telegramBot.bot = {
+    api: {
+      async sendMessage(chatId, text, options) {
+        const result = results.length > 0 ? results.shift() : { message_id: 100 + sent.length };
+        if (result instanceof Error) throw result;
+        sent.push({ chatId, text, replyTo: options.reply_parameters.message_id });
+        return result;
+      }
+    }
+  };
+
+  return { telegramBot, sent, queued };
+}
+
+test('follow-ups are sent as replies to the post', async () => {
+  const { telegramBot, sent } = createBot([]);
+
+  await telegramBot.sendFollowUps(film, '1', 5, ['links 1', 'links 2']);
+
+  assert.deepEqual(sent, [
+    { chatId: '1', text: 'links 1', replyTo: 5 },
+    { chatId: '1', text: 'links 2', replyTo: 5 }
+  ]);
+});
+
+for (const [name, error] of [
+  ['a rate limit', telegramError(429)],
+  ['a server error', telegramError(502)],
+  ['a network error', new HttpError('Network request for sendMessage failed', new Error('ECONNRESET'))]
+]) {
+  test(`follow-ups hit by ${name} are queued in the outbox from the failed one on`, async () => {
+    const { telegramBot, sent, queued } = createBot([{ message_id: 6 }, error], true);
+
+    await telegramBot.sendFollowUps(film, '1', 5, ['links 1', 'links 2', 'links 3']);
+
+    assert.deepEqual(sent.map(message => message.text), ['links 1']);
+    assert.deepEqual(queued, [{ chatId: '1', replyToMessageId: 5, texts: ['links 2', 'links 3'] }]);
+  });
+}
+
+test('follow-ups Telegram rejects are dropped and the rest still sent', async () => {
+  const { telegramBot, sent, queued } = createBot([telegramError(400)], true);
+
+  await telegramBot.sendFollowUps(film, '1', 5, ['links 1', 'links 2']);
+
+  assert.deepEqual(sent.map(message => message.text), ['links 2']);
+  assert.deepEqual(queued, []);
+});
+
+test('without an outbox a temporary follow-up failure is thrown', async () => {
+  const { telegramBot } = createBot([telegramError(500)]);
+
+  await assert.rejects(telegramBot.sendFollowUps(film, '1', 5, ['links 1']), GrammyError);
+});
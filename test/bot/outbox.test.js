@@ -0,0 +1,204 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { GrammyError, HttpError } from 'grammy';
+import Outbox from '../../src/bot/outbox.js';
+
+const config = {
+  outbox: { sendDelay: 0, maxAttempts: 3, retryDelay: 1000, maxRetryDelay: 60000 }
+};
+
+/**
+ * In-memory stand-in for the outbox part of a storage backend
+ */
+function createDatabase() {
+  const entries = [];
+  const sameEntry = (entry, filmId, chatId, kind) =>
+    entry.filmId === filmId && entry.chatId === chatId && (entry.kind || 'film') === kind;
+
+  return {
+    entries,
+    removedSubscribers: [],
+    getOutbox: () => entries.map(entry => ({ ...entry })),
+    async saveOutboxEntry(entry) {
+      const index = entries.findIndex(e => sameEntry(e, entry.filmId, entry.chatId, entry.kind || 'film'));
+      if (index === -1) entries.push(entry);
+      else entries[index] = entry;
+    },
+    async removeOutboxEntry(filmId, chatId, kind = 'film') {
+      const index = entries.findIndex(e => sameEntry(e, filmId, chatId, kind));
+      if (index !== -1) entries.splice(index, 1);
+    },
+    async removeSubscriber(chatId, reason) {
+      this.removedSubscribers.push({ chatId, reason });
+    }
+  };
+}
+
+function telegramError(errorCode, parameters = {}) {
+  return new GrammyError('Call to sendPhoto failed', { ok: false, error_code: errorCode, description: 'error', parameters }, 'sendPhoto', {});
+}
+
+/**
+ * Create an outbox whose sends answer from a list of results (errors are thrown)
+ */
+function createOutbox(database, results) {
+  const sent = [];
+  const outbox = new Outbox(config, database, async (entry) => {
+    sent.push(entry);
+    const result = results.length > 0 ? results.shift() : { message_id: sent.length };
+    if (result instanceof Error) throw result;
+    return result;
+  });
+  return { outbox, sent };
+}
+
+const film = { id: '101', title: 'Leo' };
+
+test('delivered posts are reported to the delivery handler and removed', async () => {
+  const database = createDatabase();
+  const { outbox } = createOutbox(database, []);
+  const delivered = [];
+  outbox.setDeliveryHandler(async (entry, message) => delivered.push([entry.chatId, message.message_id]));
+
+  await outbox.enqueue(film, ['1', '2']);
+  const result = await outbox.flush();
+  outbox.stop();
+
+  assert.deepEqual(result.deliveries.map(delivery => delivery.chatId), ['1', '2']);
+  assert.deepEqual(delivered, [['1', 1], ['2', 2]]);
+  assert.equal(result.pendingCount, 0);
+});
+
+test('chats with the film already pending are not queued twice', async () => {
+  const database = createDatabase();
+  const { outbox } = createOutbox(database, []);
+
+  await outbox.enqueue(film, ['1']);
+  await outbox.enqueue(film, ['1', '2']);
+
+  assert.deepEqual(database.entries.map(entry => entry.chatId), ['1', '2']);
+  assert.equal(outbox.hasFilm('101'), true);
+});
+
+test('server errors are retried with backoff until the attempts run out', async () => {
+  const database = createDatabase();
+  const { outbox, sent } = createOutbox(database, [telegramError(502), new HttpError('Network request failed', new Error('reset'))]);
+
+  await outbox.enqueue(film, ['1']);
+  const first = await outbox.flush();
+  outbox.stop();
+
+  assert.equal(first.pendingCount, 1);
+  assert.equal(database.entries[0].attempts, 1);
+  assert.ok(new Date(database.entries[0].nextAttemptAt) > new Date());
+
+  // Not due yet
+  await outbox.flush();
+  outbox.stop();
+  assert.equal(sent.length, 1);
+
+  database.entries[0].nextAttemptAt = null;
+  await outbox.flush();
+  outbox.stop();
+  assert.equal(database.entries[0].attempts, 2);
+
+  database.entries[0].nextAttemptAt = null;
+  const last = await outbox.flush();
+  outbox.stop();
+  assert.equal(sent.length, 3);
+  assert.equal(last.deliveries.length, 1);
+  assert.equal(last.pendingCount, 0);
+});
+
+test('posts are given up after the maximum attempts', async () => {
+  const database = createDatabase();
+  const { outbox } = createOutbox(database, [telegramError(500), telegramError(500), telegramError(500)]);
+
+  await outbox.enqueue(film, ['1']);
+  for (let i = 0; i < config.outbox.maxAttempts; i++) {
+    if (database.entries[0]) database.entries[0].nextAttemptAt = null;
+    await outbox.flush();
+    outbox.stop();
+  }
+
+  assert.equal(database.entries.length, 0);
+});
+
+test('a blocked bot drops the post and the subscriber', async () => {
+  const database = createDatabase();
+  const { outbox } = createOutbox(database, [telegramError(403)]);
+
+  await outbox.enqueue(film, ['1']);
+  const result = await outbox.flush();
+  outbox.stop();
+
+  assert.equal(result.failedCount, 1);
+  assert.equal(database.entries.length, 0);
+  assert.deepEqual(database.removedSubscribers, [{ chatId: '1', reason: 'blocked' }]);
+});
+
+test('a long rate limit postpones the remaining posts', async () => {
+  const database = createDatabase();
+  const { outbox, sent } = createOutbox(database, [telegramError(429, { retry_after: 600 })]);
+
+  await outbox.enqueue(film, ['1', '2']);
+  const result = await outbox.flush();
+  outbox.stop();
+
+  assert.equal(sent.length, 1);
+  assert.equal(result.pendingCount, 2);
+  assert.equal(database.entries[0].attempts, 0);
+});
+
+test('posts no longer wanted are dropped without a delivery', async () => {
+  const database = createDatabase();
+  const { outbox } = createOutbox(database, [null]);
+
+  await outbox.enqueue(film, ['1']);
+  const result = await outbox.flush();
+  outbox.stop();
+
+  assert.equal(result.deliveries.length, 0);
+  assert.equal(result.failedCount, 0);
+  assert.equal(database.entries.length, 0);
+});
+
+test('updates of one post merge and keep their backoff', async () => {
+  const database = createDatabase();
+  const { outbox } = createOutbox(database, []);
+  const post = { chatId: '1', messageId: 5, kind: 'film' };
+
+  await outbox.enqueue(film, ['1']);
+  await outbox.enqueueUpdate(film, post, [{ resolution: '1080p' }]);
+  const update = database.entries.find(entry => entry.kind === 'update');
+  update.attempts = 1;
+  update.nextAttemptAt = '2100-01-01T00:00:00.000Z';
+
+  await outbox.enqueueUpdate(film, post, [{ resolution: '4K' }], 'WEB-DL');
+  const merged = database.entries.find(entry => entry.kind === 'update');
+
+  assert.equal(database.entries.length, 2);
+  assert.deepEqual(merged.newDownloads.map(download => download.resolution), ['1080p', '4K']);
+  assert.equal(merged.upgradedTier, 'WEB-DL');
+  assert.equal(merged.attempts, 1);
+  assert.equal(merged.nextAttemptAt, '2100-01-01T00:00:00.000Z');
+});
+
+test('follow-up links of one film and chat are kept in one entry that replies to the first post', async () => {
+  const database = createDatabase();
+  const { outbox, sent } = createOutbox(database, []);
+
+  await outbox.enqueueLinks(film, '1', 5, ['links 2', 'links 3']);
+  await outbox.enqueueLinks(film, '1', 9, ['update links']);
+
+  assert.equal(database.entries.length, 1);
+  assert.equal(database.entries[0].replyToMessageId, 5);
+  assert.deepEqual(database.entries[0].texts, ['links 2', 'links 3', 'update links']);
+  assert.equal(outbox.hasFilm('101'), false);
+
+  const result = await outbox.flush();
+  outbox.stop();
+
+  assert.deepEqual(sent.map(entry => entry.kind), ['links']);
+  assert.deepEqual(result.deliveries, [{ filmId: '101', chatId: '1', kind: 'links' }]);
+});
@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { formatDownloadLinks, formatFilmMessages, formatFilmUpdate } from '../../src/formatters/messageFormatter.js';
+
+const HEADER = '<b>Download Links:</b>\n\n';
+
+/**
+ * Build a download option whose magnet carries many trackers
+ */
+function download(resolution, trackerCount) {
+  const trackers = Array.from({ length: trackerCount }, (_, i) => `&tr=udp%3A%2F%2Ftracker${i}.example.org%3A1337`);
+  return {
+    resolution,
+    fileSize: '2GB',
+    magnetLink: `magnet:?xt=urn:btih:${'a'.repeat(40)}&dn=Leo.2023.${resolution}.mkv${trackers.join('')}`
+  };
+}
+
+test('download links split into messages that each start with the header and fit 4096 characters', () => {
+  const messages = formatDownloadLinks({ downloads: ['2160p', '1080p', '720p', '480p'].map(res => download(res, 30)) });
+
+  assert.ok(messages.length > 1);
+  for (const message of messages) {
+    assert.ok(message.startsWith(HEADER));
+    assert.ok(message.length <= 4096);
+    assert.notEqual(message, HEADER.trim());
+  }
+  assert.equal(messages.join('').match(/🧲/g).length, 4);
+});
+
+test('a magnet too long for one message loses trackers instead of splitting mid-link', () => {
+  const [message, ...rest] = formatDownloadLinks({ downloads: [download('1080p', 200)] });
+
+  assert.equal(rest.length, 0);
+  assert.ok(message.length <= 4096);
+  assert.ok(message.includes(`magnet:?xt=urn:btih:${'a'.repeat(40)}`));
+});
+
+test('films without downloads get no link messages', () => {
+  assert.deepEqual(formatDownloadLinks({ downloads: [] }), []);
+});
+
+test('captions that fit need no follow-ups', () => {
+  const { caption, followUps } = formatFilmMessages({ title: 'Leo', downloads: [download('1080p', 0)] }, true);
+
+  assert.ok(caption.length <= 1024);
+  assert.deepEqual(followUps, []);
+});
+
+test('captions that overflow move their links to follow-ups', () => {
+  const film = { title: 'Leo', downloads: [download('1080p', 20), download('720p', 20)] };
+  const { caption, followUps } = formatFilmMessages(film, true);
+
+  assert.ok(caption.length <= 1024);
+  assert.ok(!caption.includes('magnet:'));
+  assert.equal(followUps.join('').match(/🧲/g).length, 2);
+});
+
+test('updates keep their links up to the 4096 characters of a text reply', () => {
+  const film = { title: 'Leo', downloads: [] };
+  const { text, followUps } = formatFilmUpdate(film, [download('1080p', 20), download('720p', 20)]);
+
+  assert.ok(text.length > 1024 && text.length <= 4096);
+  assert.ok(text.startsWith('🆕 <b>Update:</b> new 1080p, 720p rips added'));
+  assert.equal(text.match(/🧲/g).length, 2);
+  assert.deepEqual(followUps, []);
+});
+
+test('updates that overflow a text reply move their links to follow-ups', () => {
+  const newDownloads = ['2160p', '1080p', '720p', '480p'].map(res => download(res, 30));
+  const { text, followUps } = formatFilmUpdate({ title: 'Leo', downloads: [] }, newDownloads);
+
+  assert.ok(text.length <= 4096);
+  assert.ok(!text.includes('magnet:'));
+  assert.deepEqual(followUps, formatDownloadLinks({ downloads: newDownloads }));
+});
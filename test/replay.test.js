@@ -0,0 +1,33 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'child_process';
+import { fileURLToPath } from 'url';
+import { promisify } from 'util';
+
+const run = promisify(execFile);
+const replayScript = fileURLToPath(new URL('../src/replay.js', import.meta.url));
+const snapshotDir = fileURLToPath(new URL('./fixtures/snapshots', import.meta.url));
+
+/**
+ * Run the replay script without Telegram credentials and with one configured section
+ */
+function replay(...args) {
+  const { TELEGRAM_BOT_TOKEN, ...env } = process.env;
+  env.SOURCES = JSON.stringify([{ name: 'dubbed', listingUrl: 'https://www.example.org/', language: 'Tamil' }]);
+  return run(process.execPath, [replayScript, '--dir', snapshotDir, ...args], { env, timeout: 30000 });
+}
+
+test('replay parses a snapshot with the configured sections and no bot token', async () => {
+  const { stdout } = await replay('--json');
+
+  assert.ok(stdout.includes('===== 1001: Leo (2 download options) ====='));
+  assert.ok(stdout.includes('"language": "Tamil"'));
+  assert.ok(stdout.includes('Replay finished: 1 ok, 0 failed'));
+});
+
+test('replay prints the messages a film would be sent as', async () => {
+  const { stdout } = await replay('--id', '1001');
+
+  assert.ok(stdout.includes('<b>Leo (2023) | Tamil</b>'));
+  assert.equal(stdout.match(/<code>magnet:/g).length, 2);
+});
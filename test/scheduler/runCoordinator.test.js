@@ -0,0 +1,80 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import RunCoordinator from '../../src/scheduler/runCoordinator.js';
+
+/**
+ * Create a task that finishes when its release function is called
+ */
+function deferredTask(result) {
+  let release;
+  const done = new Promise(resolve => { release = resolve; });
+  let calls = 0;
+
+  return {
+    task: async () => {
+      calls++;
+      await done;
+      return result;
+    },
+    release,
+    getCalls: () => calls
+  };
+}
+
+test('callers of the same kind join the run in flight', async () => {
+  const coordinator = new RunCoordinator('check');
+  const first = deferredTask('films');
+
+  const scheduled = coordinator.run(first.task, 'schedule');
+  const manual = coordinator.run(async () => 'other', '/latest');
+
+  assert.equal(coordinator.getCurrentRun().trigger, 'schedule');
+  first.release();
+
+  assert.deepEqual(await Promise.all([scheduled, manual]), ['films', 'films']);
+  assert.equal(first.getCalls(), 1);
+  assert.equal(coordinator.isRunning(), false);
+});
+
+test('a run of another kind waits for the current one', async () => {
+  const coordinator = new RunCoordinator('check');
+  const backfill = deferredTask('backfilled');
+  const order = [];
+
+  const backfillRun = coordinator.run(async () => {
+    const result = await backfill.task();
+    order.push('backfill');
+    return result;
+  }, '/backfill', 'backfill');
+  const checkRun = coordinator.run(async () => {
+    order.push('check');
+    return 'checked';
+  }, 'schedule');
+
+  await new Promise(resolve => setImmediate(resolve));
+  assert.deepEqual(order, []);
+  assert.equal(coordinator.getCurrentRun().kind, 'backfill');
+
+  backfill.release();
+  assert.equal(await backfillRun, 'backfilled');
+  assert.equal(await checkRun, 'checked');
+  assert.deepEqual(order, ['backfill', 'check']);
+});
+
+test('a failed run frees the lock and rejects its callers', async () => {
+  const coordinator = new RunCoordinator('check');
+
+  await assert.rejects(coordinator.run(async () => { throw new Error('scrape failed'); }), /scrape failed/);
+  assert.equal(coordinator.isRunning(), false);
+  assert.equal(await coordinator.run(async () => 'next'), 'next');
+});
+
+test('a run waiting on a failed run of another kind still starts', async () => {
+  const coordinator = new RunCoordinator('check');
+
+  const failing = coordinator.run(async () => { throw new Error('backfill failed'); }, '/backfill', 'backfill');
+  const waiting = coordinator.run(async () => 'checked', 'schedule');
+
+  await assert.rejects(failing, /backfill failed/);
+  assert.equal(await waiting, 'checked');
+});
@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  base32ToHex,
+  buildMagnet,
+  getInfoHash,
+  normalizeInfoHash,
+  parseMagnet
+} from '../../src/scraper/magnetParser.js';
+
+const HEX_HASH = 'c12fe1c06bba254a9dc9f519b335aa7c1367a88a';
+const BASE32_HASH = 'YEX6DQDLXISUVHOJ6UM3GNNKPQJWPKEK';
+
+test('base32 infohashes convert to hex', () => {
+  assert.equal(base32ToHex(BASE32_HASH), HEX_HASH);
+  assert.equal(base32ToHex(BASE32_HASH.toLowerCase()), HEX_HASH);
+  assert.equal(base32ToHex('not base32!'), null);
+});
+
+test('infohashes normalize to lowercase hex', () => {
+  assert.equal(normalizeInfoHash(HEX_HASH.toUpperCase()), HEX_HASH);
+  assert.equal(normalizeInfoHash(BASE32_HASH), HEX_HASH);
+  assert.equal(normalizeInfoHash('abc123'), null);
+});
+
+test('magnets parse with HTML-encoded ampersands', () => {
+  const magnet = parseMagnet(
+    `magnet:?xt=urn:btih:${BASE32_HASH}&amp;dn=Leo.2023.1080p.mkv&amp;xl=2362232012` +
+    '&amp;tr=udp%3A%2F%2Ftracker.example.org%3A1337&amp;tr.1=udp%3A%2F%2Ftracker.example.org%3A1337'
+  );
+
+  assert.equal(magnet.infoHash, HEX_HASH);
+  assert.equal(magnet.displayName, 'Leo.2023.1080p.mkv');
+  assert.equal(magnet.size, 2362232012);
+  assert.deepEqual(magnet.trackers, ['udp://tracker.example.org:1337']);
+  assert.ok(!magnet.uri.includes('&amp;'));
+});
+
+test('magnets without a valid BTIH are rejected', () => {
+  assert.equal(parseMagnet('magnet:?dn=Leo.2023.mkv'), null);
+  assert.equal(parseMagnet('magnet:?xt=urn:btih:tooshort'), null);
+  assert.equal(parseMagnet('https://example.org'), null);
+  assert.equal(getInfoHash(null), null);
+});
+
+test('built magnets parse back to their parts', () => {
+  const uri = buildMagnet(HEX_HASH, 'Leo (2023) 1080p.mkv', ['udp://tracker.example.org:1337']);
+  const magnet = parseMagnet(uri);
+
+  assert.equal(magnet.infoHash, HEX_HASH);
+  assert.equal(magnet.displayName, 'Leo (2023) 1080p.mkv');
+  assert.deepEqual(magnet.trackers, ['udp://tracker.example.org:1337']);
+});
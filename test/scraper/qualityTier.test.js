@@ -0,0 +1,41 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  getDownloadQualityTier,
+  getFilmQualityTier,
+  getSourceTier,
+  isCamTier,
+  isTierUpgrade
+} from '../../src/scraper/qualityTier.js';
+
+test('release sources map to their tier', () => {
+  assert.equal(getSourceTier('HQ-CAM'), 'CAM');
+  assert.equal(getSourceTier('TRUE WEB-DL'), 'WEB-DL');
+  assert.equal(getSourceTier('DVDRip'), 'HDRip');
+  assert.equal(getSourceTier(null), null);
+});
+
+test('CAM and PreDVD are theater recordings', () => {
+  assert.equal(isCamTier('CAM'), true);
+  assert.equal(isCamTier('PreDVD'), true);
+  assert.equal(isCamTier('HDRip'), false);
+  assert.equal(isCamTier(null), false);
+});
+
+test('only a better tier than a known one is an upgrade', () => {
+  assert.equal(isTierUpgrade('WEB-DL', 'PreDVD'), true);
+  assert.equal(isTierUpgrade('PreDVD', 'WEB-DL'), false);
+  assert.equal(isTierUpgrade('WEB-DL', 'WEB-DL'), false);
+  assert.equal(isTierUpgrade('WEB-DL', null), false);
+});
+
+test('a film takes the best tier of its downloads, or its own', () => {
+  const film = {
+    release: { source: 'PreDVD' },
+    downloads: [{ release: { source: 'HQ-CAM' } }, { release: { source: 'WEB-DL' } }, { release: null }]
+  };
+
+  assert.equal(getFilmQualityTier(film), 'WEB-DL');
+  assert.equal(getFilmQualityTier({ ...film, downloads: [] }), 'PreDVD');
+  assert.equal(getDownloadQualityTier({ release: null }, { qualityTier: 'HDRip' }), 'HDRip');
+});
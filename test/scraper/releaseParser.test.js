@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mergeReleaseInfo, parseReleaseName } from '../../src/scraper/releaseParser.js';
+import { extractTorrentAttachments, mergeTorrentDownloads } from '../../src/scraper/parser.js';
+
+test('release headings parse into source, audio and subtitles', () => {
+  const release = parseReleaseName('Leo (2023) Tamil TRUE WEB-DL - 1080p - AVC - (DD+5.1 - 640Kbps & AAC) - 2.5GB - ESub');
+
+  assert.equal(release.title, 'Leo');
+  assert.equal(release.year, 2023);
+  assert.equal(release.source, 'TRUE WEB-DL');
+  assert.deepEqual(release.languages, ['Tamil']);
+  assert.equal(release.resolution, '1080p');
+  assert.equal(release.videoCodec, 'AVC');
+  assert.deepEqual(release.audio, { codec: 'DD+', channels: '5.1', bitrate: '640Kbps', atmos: false });
+  assert.equal(release.subtitles, 'ESub');
+  assert.equal(release.uploader, null);
+});
+
+test('scene file names parse with their group tag', () => {
+  const release = parseReleaseName('Leo.2023.Uncut.1080p.HQ-CAM.x264.AAC2.0-TeamX.mkv');
+
+  assert.equal(release.title, 'Leo');
+  assert.equal(release.source, 'HQ-CAM');
+  assert.equal(release.edition, 'Uncut');
+  assert.equal(release.uploader, 'TeamX');
+});
+
+test('bracketed group tags are recognised at either end', () => {
+  const leading = parseReleaseName('[TeamX] Jailer (2023) [Tamil + Telugu] 4K HDR 10bit HEVC');
+  assert.equal(leading.uploader, 'TeamX');
+  assert.equal(leading.title, 'Jailer');
+  assert.deepEqual(leading.languages, ['Tamil', 'Telugu']);
+  assert.equal(leading.multiAudio, true);
+  assert.equal(leading.bitDepth, 10);
+
+  assert.equal(parseReleaseName('Leo.2023.1080p.WEB-DL.x264-[TeamX].mkv').uploader, 'TeamX');
+});
+
+test('bracketed languages, qualities and codecs are not group tags', () => {
+  for (const name of ['Leo (2023) WEB-DL 1080p [Tamil]', 'Leo (2023) [4K] WEB-DL', 'Leo (2023) 1080p [HEVC]', 'Leo (2023) [ESub]']) {
+    assert.equal(parseReleaseName(name).uploader, null, name);
+  }
+});
+
+test('merged releases keep the primary values and fill gaps from the fallback', () => {
+  const merged = mergeReleaseInfo(
+    parseReleaseName('Leo.2023.720p.mkv'),
+    parseReleaseName('Leo (2023) Tamil WEB-DL - 1080p - x264 - AAC - 1.4GB')
+  );
+
+  assert.equal(merged.resolution, '720p');
+  assert.equal(merged.source, 'WEB-DL');
+  assert.deepEqual(merged.languages, ['Tamil']);
+});
+
+test('attachment downloads take audio and codec from the file name only', () => {
+  const html = 'Leo (2023) Tamil HDRip - 1080p - x264 - DD+5.1 - 2.5GB<br>' +
+    '<a href="/applications/core/interface/file/attachment.php?id=77" data-fileext="torrent">Leo.2023.720p.torrent</a>';
+  const [attachment] = extractTorrentAttachments(html, 'https://example.org/topic/1');
+
+  assert.equal(attachment.url, 'https://example.org/applications/core/interface/file/attachment.php?id=77');
+  assert.equal(attachment.resolution, '720p');
+  assert.equal(attachment.codec, null);
+  assert.equal(attachment.audio, null);
+
+  const [download] = mergeTorrentDownloads([], [{
+    attachment,
+    torrent: { infoHash: 'a'.repeat(40), name: 'Leo.2023.720p.mkv', totalSize: 1e9, files: [{}], magnetLink: 'magnet:?xt=urn:btih:a' }
+  }]);
+
+  assert.equal(download.codec, null);
+  assert.equal(download.release.videoCodec, null);
+  assert.equal(download.release.audio, null);
+  assert.deepEqual(download.release.languages, ['Tamil']);
+});
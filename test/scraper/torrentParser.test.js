@@ -0,0 +1,77 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { decodeBencode } from '../../src/scraper/bencode.js';
+import { parseTorrent } from '../../src/scraper/torrentParser.js';
+import { parseMagnet } from '../../src/scraper/magnetParser.js';
+
+/**
+ * Bencode a test value; strings become byte strings, keys are sorted as the spec requires
+ */
+function encode(value) {
+  if (typeof value === 'number') return Buffer.from(`i${value}e`);
+  if (typeof value === 'string' || Buffer.isBuffer(value)) {
+    const bytes = Buffer.from(value);
+    return Buffer.concat([Buffer.from(`${bytes.length}:`), bytes]);
+  }
+  if (Array.isArray(value)) {
+    return Buffer.concat([Buffer.from('l'), ...value.map(encode), Buffer.from('e')]);
+  }
+
+  const entries = Object.keys(value).sort().flatMap(key => [encode(key), encode(value[key])]);
+  return Buffer.concat([Buffer.from('d'), ...entries, Buffer.from('e')]);
+}
+
+test('bencode decodes integers, strings, lists and dictionaries', () => {
+  const decoded = decodeBencode(Buffer.from('d4:listli1ei-2ee4:name3:Leoe'));
+
+  assert.deepEqual(decoded.list, [1, -2]);
+  assert.equal(decoded.name.toString(), 'Leo');
+});
+
+test('bencode rejects truncated data', () => {
+  assert.throws(() => decodeBencode(Buffer.from('d4:name10:Leoe')));
+  assert.throws(() => decodeBencode(Buffer.from('i42')));
+  assert.throws(() => decodeBencode(Buffer.from('')));
+});
+
+test('single-file torrents parse with the infohash of their info dictionary', () => {
+  const info = { length: 1000, name: 'Leo.2023.1080p.mkv', 'piece length': 16384, pieces: Buffer.alloc(20) };
+  const torrent = parseTorrent(encode({
+    announce: 'udp://tracker.example.org:1337',
+    'announce-list': [['udp://tracker.example.org:1337'], ['udp://backup.example.org:80']],
+    info
+  }));
+
+  assert.equal(torrent.infoHash, crypto.createHash('sha1').update(encode(info)).digest('hex'));
+  assert.equal(torrent.name, 'Leo.2023.1080p.mkv');
+  assert.equal(torrent.totalSize, 1000);
+  assert.deepEqual(torrent.trackers, ['udp://tracker.example.org:1337', 'udp://backup.example.org:80']);
+
+  const magnet = parseMagnet(torrent.magnetLink);
+  assert.equal(magnet.infoHash, torrent.infoHash);
+  assert.deepEqual(magnet.trackers, torrent.trackers);
+});
+
+test('multi-file torrents add up their files', () => {
+  const torrent = parseTorrent(encode({
+    info: {
+      name: 'Leo (2023)',
+      files: [
+        { length: 700, path: ['Leo.2023.720p.mkv'] },
+        { length: 30, path: ['Subs', 'Leo.srt'] }
+      ],
+      'piece length': 16384,
+      pieces: Buffer.alloc(20)
+    }
+  }));
+
+  assert.equal(torrent.totalSize, 730);
+  assert.deepEqual(torrent.files.map(file => file.path), ['Leo.2023.720p.mkv', 'Subs/Leo.srt']);
+  assert.deepEqual(torrent.trackers, []);
+});
+
+test('files that are not torrents are rejected', () => {
+  assert.throws(() => parseTorrent(Buffer.from('<html></html>')), /Not a torrent file/);
+  assert.throws(() => parseTorrent(encode({ announce: 'udp://tracker.example.org:1337' })), /no info dictionary/);
+});
@@ -0,0 +1,191 @@
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import JsonStorage from '../../src/storage/jsonStorage.js';
+
+// better-sqlite3 is optional; without it only the JSON backend is tested
+const SqliteStorage = await import('../../src/storage/sqliteStorage.js').then(module => module.default, () => null);
+const skipSqlite = SqliteStorage ? false : 'better-sqlite3 is not installed';
+
+let tempDir;
+
+before(async () => {
+  tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'tamilmv-storage-'));
+});
+
+after(async () => {
+  await fs.rm(tempDir, { recursive: true, force: true });
+});
+
+const backends = {
+  json: (name) => new JsonStorage(path.join(tempDir, `${name}.json`)),
+  sqlite: (name) => new SqliteStorage(path.join(tempDir, `${name}.db`))
+};
+
+function film(id) {
+  return { id, title: `Film ${id}`, detailUrl: `https://old.example.org/topic/${id}`, downloads: [{ resolution: '1080p' }] };
+}
+
+for (const [backendName, createStorage] of Object.entries(backends)) {
+  describe(`${backendName} storage`, { skip: backendName === 'sqlite' && skipSqlite }, () => {
+    test('films are stored with their messages and returned as copies', async () => {
+      const storage = createStorage('films');
+      await storage.initialize();
+
+      await storage.addFilms([film('1'), film('2')]);
+      await storage.addFilmMessages('1', [{ chatId: '10', messageId: 5 }]);
+
+      const stored = storage.getFilm('1');
+      assert.deepEqual(stored.messages, [{ chatId: '10', messageId: 5 }]);
+      assert.deepEqual(stored.downloads, [{ resolution: '1080p' }]);
+
+      stored.title = 'Changed';
+      assert.equal(storage.getFilm('1').title, 'Film 1');
+
+      storage.getAllFilms()[0].title = 'Changed';
+      assert.equal(storage.getFilm('1').title, 'Film 1');
+
+      const updated = await storage.updateFilm('1', { title: 'Updated' });
+      assert.equal(updated.title, 'Updated');
+      assert.equal(storage.getFilm('1').title, 'Updated');
+      assert.equal(await storage.updateFilm('missing', { title: 'x' }), null);
+
+      await storage.close();
+    });
+
+    test('cleanup keeps the newest films and removed films are unseen again', async () => {
+      const storage = createStorage('cleanup');
+      await storage.initialize();
+
+      await storage.addFilms(['1', '2', '3', '4'].map(film));
+      await storage.cleanup(2);
+      assert.deepEqual(storage.getAllFilms().map(f => f.id), ['3', '4']);
+
+      assert.equal(await storage.removeFilm('3'), true);
+      assert.equal(storage.hasFilm('3'), false);
+      assert.equal(await storage.removeFilm('3'), false);
+
+      await storage.close();
+    });
+
+    test('topic URLs move to a new mirror', async () => {
+      const storage = createStorage('urls');
+      await storage.initialize();
+
+      await storage.addFilms([film('1'), { ...film('2'), detailUrl: 'https://other.example.org/topic/2' }]);
+      assert.equal(await storage.rewriteFilmUrls('https://old.example.org', 'https://new.example.org'), 1);
+      assert.equal(storage.getFilm('1').detailUrl, 'https://new.example.org/topic/1');
+      assert.equal(storage.getFilm('2').detailUrl, 'https://other.example.org/topic/2');
+
+      await storage.close();
+    });
+
+    test('subscribers can leave and come back with their filters', async () => {
+      const storage = createStorage('subscribers');
+      await storage.initialize();
+
+      assert.equal(await storage.addSubscriber({ chatId: '10', type: 'private' }), true);
+      assert.equal(await storage.addSubscriber({ chatId: '10', type: 'private' }), false);
+      storage.getSubscriber('10').active = false;
+      assert.equal(storage.getActiveSubscribers().length, 1);
+      assert.equal(await storage.updateSubscriberFilters('10', { languages: ['Tamil'] }), true);
+
+      assert.equal(await storage.removeSubscriber('10', 'blocked'), true);
+      assert.equal(storage.getActiveSubscribers().length, 0);
+      assert.equal(storage.getSubscriber('10').removedReason, 'blocked');
+
+      assert.equal(await storage.addSubscriber({ chatId: '10' }), true);
+      assert.deepEqual(storage.getSubscriber('10').filters, { languages: ['Tamil'] });
+      assert.equal(storage.getActiveSubscribers().length, 1);
+
+      await storage.close();
+    });
+
+    test('watchlist keywords are normalized and removable', async () => {
+      const storage = createStorage('watchlist');
+      await storage.initialize();
+
+      assert.equal(await storage.addWatchKeyword('10', '  Vijay '), true);
+      assert.equal(await storage.addWatchKeyword('10', 'vijay'), false);
+      await storage.addWatchKeyword('10', 'leo');
+      await storage.addWatchKeyword('20', 'leo');
+
+      assert.deepEqual(storage.getWatchlist('10').map(entry => entry.keyword).sort(), ['leo', 'vijay']);
+      assert.equal(await storage.removeWatchKeyword('10', 'LEO'), 1);
+      assert.equal(await storage.removeWatchKeyword('10'), 1);
+      assert.equal(storage.getAllWatchlistEntries().length, 1);
+
+      await storage.close();
+    });
+
+    test('outbox entries are keyed by film, chat and kind and survive a restart', async () => {
+      const storage = createStorage('outbox');
+      await storage.initialize();
+
+      const entry = { filmId: '1', chatId: '10', film: film('1'), attempts: 0, createdAt: new Date().toISOString() };
+      await storage.saveOutboxEntry({ ...entry, kind: 'film' });
+      await storage.saveOutboxEntry({ ...entry, kind: 'update', newDownloads: [] });
+      await storage.saveOutboxEntry({ ...entry, kind: 'film', attempts: 2 });
+      await storage.setMeta('paused', 'true');
+      await storage.close();
+
+      const reopened = createStorage('outbox');
+      await reopened.initialize();
+
+      const outbox = reopened.getOutbox();
+      assert.equal(outbox.length, 2);
+      assert.equal(outbox.find(e => e.kind === 'film').attempts, 2);
+
+      outbox[0].attempts = 9;
+      assert.ok(reopened.getOutbox().every(e => e.attempts !== 9));
+      assert.equal(reopened.getMeta('paused'), 'true');
+
+      assert.equal(await reopened.removeOutboxEntry('1', '10', 'update'), true);
+      assert.deepEqual(reopened.getOutbox().map(e => e.kind), ['film']);
+      assert.equal(await reopened.removeOutboxEntry('1', '10'), true);
+      assert.equal(await reopened.removeOutboxEntry('1', '10'), false);
+
+      await reopened.close();
+    });
+  });
+}
+
+test('json storage saves one write at a time', async () => {
+  const storage = backends.json('concurrent');
+  await storage.initialize();
+
+  await Promise.all(Array.from({ length: 20 }, (_, i) => storage.addFilm(film(String(i)))));
+
+  const content = JSON.parse(await fs.readFile(storage.filePath, 'utf-8'));
+  assert.equal(content.films.length, 20);
+});
+
+test('sqlite storage imports an existing JSON database once', { skip: skipSqlite }, async () => {
+  const jsonPath = path.join(tempDir, 'legacy.json');
+  await fs.writeFile(jsonPath, JSON.stringify({
+    films: [film('1'), film('2')],
+    subscribers: [{ chatId: '10', type: 'private', active: true, subscribedAt: new Date().toISOString() }],
+    watchlist: [{ userId: '10', keyword: 'leo', createdAt: new Date().toISOString() }],
+    outbox: [{ filmId: '2', chatId: '10', film: film('2'), attempts: 0, createdAt: new Date().toISOString() }]
+  }));
+
+  const sqlitePath = path.join(tempDir, 'migrated.db');
+  const storage = new SqliteStorage(sqlitePath, jsonPath);
+  await storage.initialize();
+
+  assert.deepEqual(storage.getAllFilms().map(f => f.id), ['1', '2']);
+  assert.deepEqual(storage.getFilm('1').messages, []);
+  assert.equal(storage.getActiveSubscribers().length, 1);
+  assert.equal(storage.getWatchlist('10').length, 1);
+  assert.equal(storage.getOutbox().length, 1);
+  await storage.addFilm(film('3'));
+  await storage.close();
+
+  // Later starts keep the SQLite data instead of importing again
+  const reopened = new SqliteStorage(sqlitePath, jsonPath);
+  await reopened.initialize();
+  assert.deepEqual(reopened.getAllFilms().map(f => f.id), ['1', '2', '3']);
+  await reopened.close();
+});